@@ -0,0 +1,230 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * Clone lineage: which snapshots are the origins of which clones, and what
+ * that means for destroying them.  Exported as require('zfs').lineage.
+ *
+ * A clone depends on the snapshot it was created from (its `origin`), and
+ * that snapshot can't be destroyed, nor can the dataset it belongs to, until
+ * every clone of it has been destroyed or promoted.  Those clones can be
+ * anywhere in the pool, which is why `zfs destroy -r` fails on them.
+ */
+
+var FIELDS = [ 'name', 'type', 'origin', 'clones' ];
+
+function present(value) {
+	return (value !== undefined && value !== null && value !== '' &&
+	    value !== '-');
+}
+
+/*
+ * The name of the dataset a snapshot or bookmark belongs to, or of a
+ * dataset's parent; null for a pool's top-level dataset.
+ */
+function parentName(name) {
+	var i = name.search(/[@#]/);
+
+	if (i !== -1)
+		return (name.substr(0, i));
+	i = name.lastIndexOf('/');
+	return (i === -1 ? null : name.substr(0, i));
+}
+
+/*
+ * buildGraph(rows)
+ *
+ * Build a lineage graph from objects with the name, type, origin and clones
+ * properties of each dataset, snapshot and bookmark, as returned by zfs.list()
+ * with `objects`.  The graph maps each name to a node:
+ *
+ *     {
+ *         name: 'zones/data@monday',
+ *         type: 'snapshot',
+ *         origin: null,                   (for a clone, its origin snapshot)
+ *         clones: [ 'zones/copy' ]        (for a snapshot, its clones)
+ *     }
+ *
+ * Each link is recorded at both ends, even if only one end reported it.
+ */
+function buildGraph(rows) {
+	var result = {};
+
+	rows.forEach(function (row) {
+		result[row.name] = {
+			name: row.name,
+			type: row.type,
+			origin: present(row.origin) ? row.origin : null,
+			clones: present(row.clones) ? row.clones.split(',') : []
+		};
+	});
+
+	Object.keys(result).forEach(function (name) {
+		var node = result[name];
+		var origin = node.origin && result[node.origin];
+
+		if (origin && origin.clones.indexOf(name) === -1)
+			origin.clones.push(name);
+		node.clones.forEach(function (clone) {
+			if (result[clone] && result[clone].origin === null)
+				result[clone].origin = name;
+		});
+	});
+
+	return (result);
+}
+
+/*
+ * graph([dataset], callback)
+ *
+ * List `dataset` and everything under it (by default, every pool) and call
+ * back with its lineage graph, as described at buildGraph().
+ */
+function graph(dataset, callback) {
+	var lib = require('./zfs');
+
+	if (typeof (dataset) === 'function') {
+		callback = dataset;
+		dataset = undefined;
+	}
+
+	lib.zfs.list(dataset, { type: 'all', recursive: true,
+	    fields: FIELDS, parseable: true, objects: true },
+	    function (err, fields, rows) {
+		if (err)
+			return (callback(err));
+		return (callback(null, buildGraph(rows)));
+	});
+}
+
+/*
+ * Whether `name` is `dataset` itself or anything beneath it.
+ */
+function within(name, dataset) {
+	if (name.substr(0, dataset.length) !== dataset)
+		return (false);
+
+	return ([ '', '/', '@', '#' ].indexOf(name.charAt(dataset.length)) !==
+	    -1);
+}
+
+/*
+ * computeDestroyPlan(graph, name, [options])
+ *
+ * Work out what `zfs destroy` of `name` would destroy, given the pool's
+ * lineage graph, and what would stop it.  With `options.recursive`, the
+ * descendants of a dataset are destroyed along with it, or the same-named
+ * snapshots of the descendants along with a snapshot, as zfs.destroyAll()
+ * does.  Returns
+ *
+ *     {
+ *         destroy: [ 'zones/data@monday', ... ],
+ *         blockers: [ {
+ *             name: 'zones/copy',
+ *             reason: 'clone',
+ *             origin: 'zones/data@monday',
+ *             message: 'zones/copy is a clone of zones/data@monday; ' +
+ *                 'destroy or promote it first'
+ *         }, ... ]
+ *     }
+ *
+ * where a blocker's `reason` is "clone" for a clone outside of what's being
+ * destroyed, or, without `recursive`, "child" or "snapshot" for a dataset's
+ * children and snapshots.  Nothing can be destroyed while there are
+ * blockers.
+ */
+function computeDestroyPlan(g, name, options) {
+	var opts = options || {};
+	var result = { destroy: [], blockers: [] };
+	var targets = {};
+	var snap = name.split('@');
+
+	Object.keys(g).forEach(function (n) {
+		var include;
+
+		if (n === name)
+			include = true;
+		else if (!opts.recursive)
+			include = false;
+		else if (snap.length === 2)
+			include = (n.split('@')[1] === snap[1] &&
+			    within(n.split('@')[0], snap[0]));
+		else
+			include = within(n, name);
+
+		if (include) {
+			targets[n] = true;
+			result.destroy.push(n);
+		}
+	});
+
+	result.destroy.forEach(function (n) {
+		g[n].clones.forEach(function (clone) {
+			if (targets[clone])
+				return;
+			result.blockers.push({
+				name: clone,
+				reason: 'clone',
+				origin: n,
+				message: clone + ' is a clone of ' + n +
+				    '; destroy or promote it first'
+			});
+		});
+	});
+
+	if (!opts.recursive && g[name] && g[name].type !== 'snapshot' &&
+	    g[name].type !== 'bookmark') {
+		Object.keys(g).forEach(function (n) {
+			if (parentName(n) !== name || g[n].type === 'bookmark')
+				return;
+			var reason = (g[n].type === 'snapshot') ?
+			    'snapshot' : 'child';
+			result.blockers.push({
+				name: n,
+				reason: reason,
+				message: name + ' has ' + (reason === 'child' ?
+				    'child dataset ' : 'snapshot ') + n +
+				    '; destroy it first or destroy ' +
+				    'recursively'
+			});
+		});
+	}
+
+	return (result);
+}
+
+/*
+ * destroyPlan(name, [options], callback)
+ *
+ * Build the lineage graph of the pool `name` belongs to and call back with
+ * what destroying `name` would involve, as returned by computeDestroyPlan().
+ */
+function destroyPlan(name, options, callback) {
+	if (typeof (options) === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	graph(name.split(/[\/@#]/)[0], function (err, g) {
+		if (err)
+			return (callback(err));
+
+		var p = computeDestroyPlan(g, name, options);
+		if (p.destroy.length === 0)
+			return (callback(new Error(name +
+			    ' does not exist')));
+		return (callback(null, p));
+	});
+}
+
+exports.buildGraph = buildGraph;
+exports.graph = graph;
+exports.computeDestroyPlan = computeDestroyPlan;
+exports.destroyPlan = destroyPlan;
@@ -0,0 +1,664 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * Promise-returning versions of the zfs and zpool functions, available as
+ * require('zfs').promises.  Required arguments (dataset, pool or snapshot
+ * names) are positional; everything optional is passed in an options object.
+ * Functions whose callbacks receive more than one result resolve to an object
+ * naming each of them, e.g. { fields: [ ... ], rows: [ ... ] } for the list
+ * functions.  Failures reject with the same ZfsError the callback would have
+ * received.
+ *
+ * The callback functions are looked up when each promise function is called
+ * rather than when this file is loaded, because this file and zfs.js require
+ * each other.
+ */
+
+var lib = require('./zfs');
+
+/*
+ * Invoke `fn` with `args` and a callback, resolving with the callback's first
+ * result, or with whatever `map` returns when given all of its results.
+ */
+function call(fn, args, map) {
+	return (new Promise(function (resolve, reject) {
+		fn.apply(null, args.concat([ function (err) {
+			var results = Array.prototype.slice.call(arguments, 1);
+
+			if (err) {
+				reject(err);
+				return;
+			}
+			resolve(map ? map.apply(null, results) : results[0]);
+		} ]));
+	}));
+}
+
+function listResult(fields, rows) {
+	return ({ fields: fields, rows: rows });
+}
+
+function copy(obj) {
+	var result = {};
+
+	Object.keys(obj || {}).forEach(function (k) {
+		result[k] = obj[k];
+	});
+
+	return (result);
+}
+
+var zfs = exports.zfs = {};
+var zpool = exports.zpool = {};
+
+/*
+ * zfs.list([options]) -> { fields, rows }
+ *
+ * `options.name` restricts the listing to one dataset; the remaining options
+ * (type, recursive, fields, parseable) are those of the callback zfs.list().
+ */
+zfs.list = function (options) {
+	var opts = copy(options);
+	var name = opts.name;
+
+	delete opts.name;
+	return (call(lib.zfs.list, [ name, opts ], listResult));
+};
+
+/*
+ * zfs.list_snapshots([options]) -> { fields, rows }
+ *
+ * `options.name` restricts the listing to the snapshots of one dataset; the
+ * remaining options are those of the callback zfs.list_snapshots().
+ */
+zfs.list_snapshots = function (options) {
+	var opts = copy(options);
+	var name = opts.name;
+
+	delete opts.name;
+	return (call(lib.zfs.list_snapshots, [ name, opts ], listResult));
+};
+
+/*
+ * zfs.listSnapshotsOf(dataset, [options]) -> { fields, rows }
+ *
+ * The options are those of the callback zfs.listSnapshotsOf().
+ */
+zfs.listSnapshotsOf = function (dataset, options) {
+	return (call(lib.zfs.listSnapshotsOf, [ dataset, copy(options) ],
+	    listResult));
+};
+
+/*
+ * zfs.create(name, [options])
+ *
+ * The options are those of the callback zfs.create().
+ */
+zfs.create = function (name, options) {
+	return (call(lib.zfs.create, [ name, copy(options) ]));
+};
+
+/*
+ * zfs.loadKey(name, [options])
+ * zfs.unloadKey(name, [options])
+ * zfs.changeKey(name, [options])
+ * zfs.keyStatus([options]) -> records
+ *
+ * The options are those of the callback versions; `options.name` restricts
+ * zfs.keyStatus() to one dataset and its descendants.
+ */
+zfs.loadKey = function (name, options) {
+	return (call(lib.zfs.loadKey, [ name, copy(options) ]));
+};
+
+zfs.unloadKey = function (name, options) {
+	return (call(lib.zfs.unloadKey, [ name, copy(options) ]));
+};
+
+zfs.changeKey = function (name, options) {
+	return (call(lib.zfs.changeKey, [ name, copy(options) ]));
+};
+
+zfs.keyStatus = function (options) {
+	var opts = options || {};
+
+	return (call(lib.zfs.keyStatus, [ opts.name ]));
+};
+
+zfs.set = function (name, properties) {
+	return (call(lib.zfs.set, [ name, properties ]));
+};
+
+/*
+ * zfs.inherit(name, properties, [options])
+ *
+ * The options are those of the callback zfs.inherit().
+ */
+zfs.inherit = function (name, properties, options) {
+	return (call(lib.zfs.inherit, [ name, properties, copy(options) ]));
+};
+
+/*
+ * zfs.get(name, propNames, [options]) -> properties
+ *
+ * The options are those of the callback zfs.get().
+ */
+zfs.get = function (name, propNames, options) {
+	return (call(lib.zfs.get, [ name, propNames, copy(options) ]));
+};
+
+/*
+ * zfs.snapshot(names, [options])
+ *
+ * The options are those of the callback zfs.snapshot().
+ */
+zfs.snapshot = function (names, options) {
+	return (call(lib.zfs.snapshot, [ names, copy(options) ]));
+};
+
+/*
+ * zfs.clone(snapshot, name, [options])
+ *
+ * The options are those of the callback zfs.clone().
+ */
+zfs.clone = function (snapshot, name, options) {
+	return (call(lib.zfs.clone, [ snapshot, name, copy(options) ]));
+};
+
+zfs.promote = function (clone) {
+	return (call(lib.zfs.promote, [ clone ]));
+};
+
+/*
+ * zfs.destroy(name, [options])
+ *
+ * `options.recursive` destroys the dataset and all of its descendants, as the
+ * callback zfs.destroyAll() does.
+ */
+zfs.destroy = function (name, options) {
+	var opts = options || {};
+
+	if (opts.recursive)
+		return (call(lib.zfs.destroyAll, [ name ]));
+	return (call(lib.zfs.destroy, [ name ]));
+};
+
+zfs.destroyAll = function (name) {
+	return (call(lib.zfs.destroyAll, [ name ]));
+};
+
+zfs.bookmark = function (snapshot, bookmark) {
+	return (call(lib.zfs.bookmark, [ snapshot, bookmark ]));
+};
+
+/*
+ * zfs.hold(tag, snapshots, [options])
+ * zfs.release(tag, snapshots, [options])
+ * zfs.holds(snapshots, [options]) -> holds
+ *
+ * The options are those of the callback versions.
+ */
+zfs.hold = function (tag, snapshots, options) {
+	return (call(lib.zfs.hold, [ tag, snapshots, copy(options) ]));
+};
+
+zfs.release = function (tag, snapshots, options) {
+	return (call(lib.zfs.release, [ tag, snapshots, copy(options) ]));
+};
+
+zfs.holds = function (snapshots, options) {
+	return (call(lib.zfs.holds, [ snapshots, copy(options) ]));
+};
+
+/*
+ * zfs.send(snapshot, options)
+ *
+ * `options.filename` is the file the stream is written to; the remaining
+ * options are those of zfs.sendStream().
+ */
+zfs.send = function (snapshot, options) {
+	var opts = copy(options);
+	var filename = opts.filename;
+
+	delete opts.filename;
+	return (call(lib.zfs.send, [ snapshot, filename, opts ]));
+};
+
+/*
+ * zfs.sendStream(snapshot, [options]) -> stream
+ *
+ * Returns the stream directly, as the callback version does.
+ */
+zfs.sendStream = function (snapshot, options) {
+	return (lib.zfs.sendStream(snapshot, options));
+};
+
+/*
+ * zfs.receive(name, options)
+ *
+ * `options.filename` is the file the stream is read from; the remaining
+ * options are those of zfs.receiveStream().
+ */
+zfs.receive = function (name, options) {
+	var opts = copy(options);
+	var filename = opts.filename;
+
+	delete opts.filename;
+	return (call(lib.zfs.receive, [ name, filename, opts ]));
+};
+
+/*
+ * zfs.receiveStream(name, [options])
+ *
+ * Receive the readable stream `options.source`, or whatever is piped into the
+ * promise's `stream`, the writable stream zfs.receiveStream() returns,
+ * resolving once `zfs receive` has finished.  If `stream` emits 'error' first,
+ * the receive is killed and the promise rejects with that error.
+ */
+zfs.receiveStream = function (name, options) {
+	var stream;
+	var promise = new Promise(function (resolve, reject) {
+		stream = lib.zfs.receiveStream(name, copy(options),
+		    function (err) {
+			if (err) {
+				reject(err);
+				return;
+			}
+			resolve();
+		});
+		stream.on('error', function (err) {
+			stream.child.kill();
+			reject(err);
+		});
+	});
+
+	promise.stream = stream;
+	return (promise);
+};
+
+zfs.resumeToken = function (name) {
+	return (call(lib.zfs.resumeToken, [ name ]));
+};
+
+zfs.abortReceive = function (name) {
+	return (call(lib.zfs.abortReceive, [ name ]));
+};
+
+/*
+ * zfs.replicate(source, target, [options]) -> result
+ *
+ * Resolves with the transfer summary described in replicate.js.
+ */
+zfs.replicate = function (source, target, options) {
+	return (call(lib.zfs.replicate, [ source, target, copy(options) ]));
+};
+
+/*
+ * zfs.diff(snapshot, [options]) -> changes
+ * zfs.diffStream(snapshot, [options]) -> stream
+ * zfs.parseDiff(data, [options]) -> changes
+ *
+ * `options.other` is the snapshot or file system to compare `snapshot` with,
+ * by default the file system itself; the remaining options are those of the
+ * callback versions.  zfs.diffStream() returns the stream directly, as the
+ * callback version does, and zfs.parseDiff() is the same synchronous parser.
+ */
+zfs.diff = function (snapshot, options) {
+	var opts = copy(options);
+	var other = opts.other;
+
+	delete opts.other;
+	return (call(lib.zfs.diff, [ snapshot, other, opts ]));
+};
+
+zfs.diffStream = function (snapshot, options) {
+	var opts = copy(options);
+	var other = opts.other;
+
+	delete opts.other;
+	return (lib.zfs.diffStream(snapshot, other, opts));
+};
+
+zfs.parseDiff = function (data, options) {
+	return (lib.zfs.parseDiff(data, options));
+};
+
+/*
+ * zfs.parsePropertyList(data) -> properties
+ * zfs.parsePropertySources(data) -> properties
+ *
+ * The same synchronous parsers as the callback versions.
+ */
+zfs.parsePropertyList = function (data) {
+	return (lib.zfs.parsePropertyList(data));
+};
+
+zfs.parsePropertySources = function (data) {
+	return (lib.zfs.parsePropertySources(data));
+};
+
+/*
+ * zfs.allow(dataset, options)
+ * zfs.unallow(dataset, options)
+ * zfs.permissions(dataset) -> permissions
+ *
+ * The options are those of the callback versions.  zfs.parseAllow() is the
+ * same synchronous parser.
+ */
+zfs.allow = function (dataset, options) {
+	return (call(lib.zfs.allow, [ dataset, copy(options) ]));
+};
+
+zfs.unallow = function (dataset, options) {
+	return (call(lib.zfs.unallow, [ dataset, copy(options) ]));
+};
+
+zfs.permissions = function (dataset) {
+	return (call(lib.zfs.permissions, [ dataset ]));
+};
+
+zfs.parseAllow = function (data) {
+	return (lib.zfs.parseAllow(data));
+};
+
+/*
+ * zfs.userspace(dataset, [options]) -> records
+ * zfs.groupspace(dataset, [options]) -> records
+ * zfs.projectspace(dataset, [options]) -> records
+ *
+ * The options are those of the callback versions.  zfs.parseSpace() is the
+ * same synchronous parser.
+ */
+zfs.userspace = function (dataset, options) {
+	return (call(lib.zfs.userspace, [ dataset, copy(options) ]));
+};
+
+zfs.groupspace = function (dataset, options) {
+	return (call(lib.zfs.groupspace, [ dataset, copy(options) ]));
+};
+
+zfs.projectspace = function (dataset, options) {
+	return (call(lib.zfs.projectspace, [ dataset, copy(options) ]));
+};
+
+zfs.parseSpace = function (data, fields, options) {
+	return (lib.zfs.parseSpace(data, fields, options));
+};
+
+zfs.setUserQuota = function (dataset, quotas) {
+	return (call(lib.zfs.setUserQuota, [ dataset, quotas ]));
+};
+
+zfs.setGroupQuota = function (dataset, quotas) {
+	return (call(lib.zfs.setGroupQuota, [ dataset, quotas ]));
+};
+
+zfs.setUserObjQuota = function (dataset, quotas) {
+	return (call(lib.zfs.setUserObjQuota, [ dataset, quotas ]));
+};
+
+zfs.setProjectQuota = function (dataset, quotas) {
+	return (call(lib.zfs.setProjectQuota, [ dataset, quotas ]));
+};
+
+/*
+ * zfs.mount(name, [options])
+ * zfs.unmount(name, [options])
+ * zfs.share(name, [options])
+ * zfs.unshare(name, [options])
+ *
+ * The options are those of the callback versions; with `options.all`, `name`
+ * may be null.
+ */
+zfs.mount = function (name, options) {
+	return (call(lib.zfs.mount, [ name, copy(options) ]));
+};
+
+zfs.unmount = function (name, options) {
+	return (call(lib.zfs.unmount, [ name, copy(options) ]));
+};
+
+zfs.share = function (name, options) {
+	return (call(lib.zfs.share, [ name, copy(options) ]));
+};
+
+zfs.unshare = function (name, options) {
+	return (call(lib.zfs.unshare, [ name, copy(options) ]));
+};
+
+/*
+ * zfs.mounts([options]) -> mounts
+ *
+ * `options.name` restricts the query to one dataset and its descendants.
+ */
+zfs.mounts = function (options) {
+	var opts = options || {};
+
+	return (call(lib.zfs.mounts, [ opts.name ]));
+};
+
+zfs.rollback = function (name) {
+	return (call(lib.zfs.rollback, [ name ]));
+};
+
+zfs.rename = function (name, newname) {
+	return (call(lib.zfs.rename, [ name, newname ]));
+};
+
+/*
+ * zfs.upgrade(name, [options])
+ *
+ * `options.version` selects the version to upgrade to; by default the
+ * dataset is upgraded to the latest version.
+ */
+zfs.upgrade = function (name, options) {
+	var opts = options || {};
+	var version = (opts.version === undefined) ? -1 : opts.version;
+
+	return (call(lib.zfs.upgrade, [ name, version ]));
+};
+
+zpool.listDisks = function () {
+	return (call(lib.zpool.listDisks, []));
+};
+
+/*
+ * zpool.list([options]) -> { fields, rows }
+ *
+ * `options.name` restricts the listing to one pool; the remaining options are
+ * those of the callback zpool.list().
+ */
+zpool.list = function (options) {
+	var opts = copy(options);
+	var name = opts.name;
+
+	delete opts.name;
+	return (call(lib.zpool.list, [ name, opts ], listResult));
+};
+
+/*
+ * zpool.status(pool, [options]) -> status
+ *
+ * Resolves with the object described at zpool.parseStatus().
+ */
+zpool.status = function (pool, options) {
+	return (call(lib.zpool.status, [ pool, copy(options) ]));
+};
+
+/*
+ * zpool.scrub(pool, [options])
+ *
+ * The options are those of the callback zpool.scrub().
+ */
+zpool.scrub = function (pool, options) {
+	return (call(lib.zpool.scrub, [ pool, copy(options) ]));
+};
+
+/*
+ * zpool.monitorScan(pool, [options]) -> monitor
+ *
+ * Returns the ScanMonitor directly, as the callback version does.
+ */
+zpool.monitorScan = function (pool, options) {
+	return (lib.zpool.monitorScan(pool, options));
+};
+
+/*
+ * zpool.iostat(pool, [options]) -> sampler
+ *
+ * Returns the IostatSampler directly, as the callback version does.
+ * zpool.parseIostat() is the same as well.
+ */
+zpool.iostat = function (pool, options) {
+	return (lib.zpool.iostat(pool, options));
+};
+
+zpool.parseIostat = function (data, options) {
+	return (lib.zpool.parseIostat(data, options));
+};
+
+/*
+ * zpool.events([options]) -> events
+ * zpool.clearEvents()
+ * zpool.followEvents([pool]) -> stream
+ *
+ * The options are those of the callback zpool.events(), and `options.name`
+ * restricts it to one pool.  zpool.followEvents() and zpool.parseEvents()
+ * are the same as the callback versions.
+ */
+zpool.events = function (options) {
+	var opts = copy(options);
+	var name = opts.name;
+
+	delete opts.name;
+	return (call(lib.zpool.events, [ name, opts ]));
+};
+
+zpool.clearEvents = function () {
+	return (call(lib.zpool.clearEvents, []));
+};
+
+zpool.followEvents = function (pool) {
+	return (lib.zpool.followEvents(pool));
+};
+
+zpool.parseEvents = function (data) {
+	return (lib.zpool.parseEvents(data));
+};
+
+zpool.create = function (pool, config) {
+	return (call(lib.zpool.create, [ pool, config ]));
+};
+
+zpool.destroy = function (pool) {
+	return (call(lib.zpool.destroy, [ pool ]));
+};
+
+/*
+ * zpool.export(pool, [options])
+ * zpool.import(pool, [options])
+ * zpool.importable([options]) -> pools
+ *
+ * The options are those of the callback versions.  zpool.parseImport() is
+ * the same synchronous parser.
+ */
+zpool.export = function (pool, options) {
+	return (call(lib.zpool.export, [ pool, copy(options) ]));
+};
+
+zpool.import = function (pool, options) {
+	return (call(lib.zpool.import, [ pool, copy(options) ]));
+};
+
+zpool.importable = function (options) {
+	return (call(lib.zpool.importable, [ copy(options) ]));
+};
+
+zpool.parseImport = function (data) {
+	return (lib.zpool.parseImport(data));
+};
+
+/*
+ * zpool.upgrade(pool, [options])
+ *
+ * `options.version` selects the version to upgrade to.
+ */
+zpool.upgrade = function (pool, options) {
+	var opts = options || {};
+
+	if (opts.version === undefined)
+		return (call(lib.zpool.upgrade, [ pool ]));
+	return (call(lib.zpool.upgrade, [ pool, opts.version ]));
+};
+
+/*
+ * lineage.graph([options]) -> graph
+ * lineage.destroyPlan(name, [options]) -> plan
+ *
+ * `options.name` restricts the graph to one dataset and its descendants.  See
+ * lineage.js.
+ */
+exports.lineage = {
+	graph: function (options) {
+		var opts = options || {};
+
+		return (call(lib.lineage.graph, [ opts.name ]));
+	},
+	destroyPlan: function (name, options) {
+		return (call(lib.lineage.destroyPlan, [ name, copy(options) ]));
+	}
+};
+
+/*
+ * tree.load([options]) -> roots
+ *
+ * `options.name` restricts the tree to one dataset and its descendants; the
+ * remaining options are those of the callback tree.load().  The synchronous
+ * helpers of tree.js are available here too.
+ */
+exports.tree = {
+	load: function (options) {
+		var opts = copy(options);
+		var name = opts.name;
+
+		delete opts.name;
+		return (call(lib.tree.load, [ name, opts ]));
+	},
+	build: function (datasets, snapshots) {
+		return (lib.tree.build(datasets, snapshots));
+	},
+	walk: function (nodes, func) {
+		return (lib.tree.walk(nodes, func));
+	},
+	find: function (nodes, match) {
+		return (lib.tree.find(nodes, match));
+	},
+	total: function (nodes, property, options) {
+		return (lib.tree.total(nodes, property, options));
+	}
+};
+
+/*
+ * retention.plan(dataset, policy, [options]) -> plan
+ * retention.run(dataset, policy, [options]) -> plan
+ *
+ * See retention.js.
+ */
+exports.retention = {
+	plan: function (dataset, policy, options) {
+		return (call(lib.retention.plan,
+		    [ dataset, policy, copy(options) ]));
+	},
+	run: function (dataset, policy, options) {
+		return (call(lib.retention.run,
+		    [ dataset, policy, copy(options) ]));
+	}
+};
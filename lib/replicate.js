@@ -0,0 +1,260 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * Replicate a dataset to another dataset on the same host by piping
+ * `zfs send` into `zfs receive`, sending incrementally from the newest
+ * snapshot the two have in common.  Exported as zfs.replicate().
+ */
+
+var SEND_OPTIONS = [ 'raw', 'compressed', 'largeBlock', 'embed', 'props',
+    'replicate' ];
+var RECEIVE_OPTIONS = [ 'force', 'resumable', 'noMount', 'properties',
+    'exclude' ];
+
+function pick(obj, keys) {
+	var result = {};
+
+	keys.forEach(function (k) {
+		if (obj[k] !== undefined)
+			result[k] = obj[k];
+	});
+
+	return (result);
+}
+
+/*
+ * Call back with the snapshots (and, with `bookmarks`, the bookmarks) of
+ * `dataset` itself, not its descendants, oldest first, as objects with name,
+ * guid and createtxg.  A bookmark sorts before the snapshot it was made from.
+ * A dataset that does not exist has no snapshots.  Where zfs doesn't know
+ * bookmarks (the pool lacks the feature, or the platform predates it), only
+ * snapshots are listed.
+ */
+function listSnapshots(dataset, bookmarks, callback) {
+	var lib = require('./zfs');
+
+	lib.zfs.listSnapshotsOf(dataset, { bookmarks: bookmarks },
+	    function (err, f, rows) {
+		if (err) {
+			if (err.code === 'ENOENT')
+				return (callback(null, [], false));
+			if (bookmarks && err.code === 'EINVAL' &&
+			    /invalid type/i.test(err.message))
+				return (listSnapshots(dataset, false,
+				    callback));
+			return (callback(err));
+		}
+
+		var snapshots = rows.sort(function (a, b) {
+			if (a.createtxg !== b.createtxg)
+				return (a.createtxg - b.createtxg);
+			return (isBookmark(b) - isBookmark(a));
+		});
+
+		return (callback(null, snapshots, true));
+	});
+}
+
+function shortName(snapshot) {
+	return (snapshot.name.split('@')[1]);
+}
+
+function isBookmark(snapshot) {
+	return (snapshot.name.indexOf('#') !== -1);
+}
+
+/*
+ * Work out what to send: the source snapshot to send up to, and the newest
+ * snapshot the target already has (by guid), if any.  The source's bookmarks
+ * count as having the guids of the snapshots they were made from, so that a
+ * source snapshot can be destroyed once it has been replicated and
+ * bookmarked.
+ */
+function plan(source, target, options, srcSnaps, dstSnaps, dstExists) {
+	var dstGuids = {};
+	var to, from = null, i;
+	var result;
+
+	dstSnaps.forEach(function (s) {
+		dstGuids[s.guid] = true;
+	});
+
+	if (options.snapshot) {
+		for (i = 0; i < srcSnaps.length; i++) {
+			if (isBookmark(srcSnaps[i]))
+				continue;
+			if (shortName(srcSnaps[i]) === options.snapshot ||
+			    srcSnaps[i].name === options.snapshot)
+				to = srcSnaps[i];
+		}
+		if (!to)
+			return (new Error('snapshot ' + options.snapshot +
+			    ' of ' + source + ' does not exist'));
+	} else {
+		for (i = 0; i < srcSnaps.length; i++) {
+			if (!isBookmark(srcSnaps[i]))
+				to = srcSnaps[i];
+		}
+		if (!to)
+			return (new Error(source + ' has no snapshots'));
+	}
+
+	for (i = 0; i < srcSnaps.length; i++) {
+		if (srcSnaps[i].createtxg <= to.createtxg &&
+		    dstGuids[srcSnaps[i].guid])
+			from = srcSnaps[i];
+	}
+
+	if (!from && dstExists && !options.force)
+		return (new Error('no snapshot of ' + source + ' exists on ' +
+		    target + '; use the force option to overwrite it'));
+
+	result = { from: from, to: to, snapshots: [] };
+	if (from === to)
+		return (result);
+
+	srcSnaps.forEach(function (s) {
+		if (isBookmark(s))
+			return;
+		if (!from) {
+			if (s === to)
+				result.snapshots.push(s.name);
+			return;
+		}
+		if (s.createtxg > from.createtxg &&
+		    s.createtxg <= to.createtxg &&
+		    (intermediary(options, from) || s === to))
+			result.snapshots.push(s.name);
+	});
+
+	return (result);
+}
+
+/*
+ * Whether to send intermediate snapshots (`-I`) from `from`, which can only
+ * be done from a snapshot, not a bookmark.
+ */
+function intermediary(options, from) {
+	return (options.intermediary !== false && !isBookmark(from));
+}
+
+/*
+ * replicate(source, target, [options], callback)
+ *
+ * Bring the dataset `target` up to date with a snapshot of `source`, both on
+ * this host.  The newest snapshot or bookmark of `source` whose guid the
+ * target also has is used as the base of an incremental send; if there is
+ * none, a full send of the snapshot is received into `target`.  Options:
+ *
+ *     snapshot      the snapshot of `source` to replicate, either
+ *                   "name@snap" or just "snap"; defaults to the newest
+ *     intermediary  send every snapshot between the common one and
+ *                   `snapshot` (`-I`), rather than only `snapshot` (`-i`);
+ *                   true by default, but not possible from a bookmark
+ *     dryRun        work out what would be sent, but don't send it
+ *
+ * plus the send options raw, compressed, largeBlock, embed, props and
+ * replicate of zfs.sendStream(), and the receive options force, resumable,
+ * noMount, properties and exclude of zfs.receiveStream().  `force` is
+ * required to replace a target that shares no snapshots with the source.
+ *
+ * The callback is given an object describing the transfer:
+ *
+ *     {
+ *         from: 'tank/data@monday',       (a snapshot or bookmark, or
+ *                                          null for a full send)
+ *         to: 'tank/data@wednesday',
+ *         incremental: true,
+ *         snapshots: [ 'tank/data@tuesday', 'tank/data@wednesday' ],
+ *         bytes: 123456
+ *     }
+ *
+ * If the target is already up to date, `snapshots` is empty and nothing is
+ * sent.
+ */
+function replicate(source, target, options, callback) {
+	if (typeof (options) === 'function') {
+		callback = options;
+		options = {};
+	}
+	if (typeof (callback) !== 'function')
+		throw Error('Invalid arguments');
+
+	listSnapshots(source, true, function (err, srcSnaps) {
+		if (err)
+			return (callback(err));
+
+		return (listSnapshots(target, false,
+		    function (err2, dstSnaps, dstExists) {
+			if (err2)
+				return (callback(err2));
+
+			var p = plan(source, target, options, srcSnaps,
+			    dstSnaps, dstExists);
+			if (p instanceof Error)
+				return (callback(p));
+
+			var result = {
+				from: p.from ? p.from.name : null,
+				to: p.to.name,
+				incremental: Boolean(p.from),
+				snapshots: p.snapshots,
+				bytes: 0
+			};
+
+			if (p.snapshots.length === 0 || options.dryRun)
+				return (callback(null, result));
+
+			return (transfer(target, options, result, callback));
+		}));
+	});
+}
+
+function transfer(target, options, result, callback) {
+	var lib = require('./zfs');
+	var sendOpts = pick(options, SEND_OPTIONS);
+	var recvOpts = pick(options, RECEIVE_OPTIONS);
+	var send, recv;
+	var sendError = null;
+
+	if (result.from) {
+		sendOpts.from = result.from;
+		sendOpts.intermediary = intermediary(options,
+		    { name: result.from });
+	}
+
+	send = lib.zfs.sendStream(result.to, sendOpts);
+	send.on('data', function (data) {
+		result.bytes += data.length;
+	});
+	send.on('error', function (err) {
+		/*
+		 * The receive can't complete without the rest of the stream,
+		 * so stop it and report why the send failed instead.
+		 */
+		sendError = err;
+		send.unpipe(recv);
+		recv.child.kill();
+	});
+
+	recvOpts.source = send;
+	recv = lib.zfs.receiveStream(target, recvOpts, function (err) {
+		if (sendError)
+			return (callback(sendError));
+		if (err) {
+			send.child.kill();
+			return (callback(err));
+		}
+		return (callback(null, result));
+	});
+}
+
+exports.replicate = replicate;
@@ -0,0 +1,274 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * Snapshot rotation: take timestamped snapshots of a dataset and prune the
+ * ones a retention policy no longer calls for.  Exported as
+ * require('zfs').retention.
+ *
+ * A policy names how many periods of each kind to keep snapshots for, e.g.
+ *
+ *     { hourly: 24, daily: 14, weekly: 8 }
+ *
+ * Each count must be at least 1; to keep none of a kind of period, leave it
+ * out.  For each kind of period, the newest snapshot in each of the most recent
+ * that-many periods that have snapshots is kept.  A snapshot kept for any
+ * reason is kept; the rest expire.  Periods are in UTC, and weeks start on
+ * Monday.  Only snapshots whose names are the prefix ("auto-" by default)
+ * followed by a timestamp such as 20261019T140000Z are managed; any other
+ * snapshots of the dataset are left alone.
+ */
+
+var DEFAULT_PREFIX = 'auto-';
+
+/*
+ * Functions mapping a Date to the period it falls in, from shortest period to
+ * longest.
+ */
+var PERIODS = {
+	hourly: function (d) {
+		return (d.toISOString().substr(0, 13));
+	},
+	daily: function (d) {
+		return (d.toISOString().substr(0, 10));
+	},
+	weekly: function (d) {
+		var monday = new Date(Date.UTC(d.getUTCFullYear(),
+		    d.getUTCMonth(), d.getUTCDate()) -
+		    ((d.getUTCDay() + 6) % 7) * 24 * 60 * 60 * 1000);
+		return (monday.toISOString().substr(0, 10));
+	},
+	monthly: function (d) {
+		return (d.toISOString().substr(0, 7));
+	},
+	yearly: function (d) {
+		return (d.toISOString().substr(0, 4));
+	}
+};
+
+function pad(n) {
+	return ((n < 10 ? '0' : '') + n);
+}
+
+function formatTimestamp(d) {
+	return (d.getUTCFullYear() + pad(d.getUTCMonth() + 1) +
+	    pad(d.getUTCDate()) + 'T' + pad(d.getUTCHours()) +
+	    pad(d.getUTCMinutes()) + pad(d.getUTCSeconds()) + 'Z');
+}
+
+function parseTimestamp(str) {
+	var m = str.match(/^(\d{4})(\d\d)(\d\d)T(\d\d)(\d\d)(\d\d)Z$/);
+
+	if (!m)
+		return (null);
+
+	return (new Date(Date.UTC(parseInt(m[1], 10), parseInt(m[2], 10) - 1,
+	    parseInt(m[3], 10), parseInt(m[4], 10), parseInt(m[5], 10),
+	    parseInt(m[6], 10))));
+}
+
+function validatePolicy(policy) {
+	var keys = Object.keys(policy || {});
+
+	if (keys.length === 0)
+		return (new Error('retention policy is empty'));
+
+	for (var i = 0; i < keys.length; i++) {
+		if (!PERIODS.hasOwnProperty(keys[i]))
+			return (new Error('unknown retention period "' +
+			    keys[i] + '"'));
+		if (typeof (policy[keys[i]]) !== 'number' ||
+		    policy[keys[i]] < 1)
+			return (new Error('retention count for "' + keys[i] +
+			    '" must be at least 1'));
+	}
+
+	return (null);
+}
+
+/*
+ * computePlan(dataset, snapshots, policy, [options])
+ *
+ * Work out what a run should do, without running anything.  `snapshots` is
+ * an array of objects describing the existing snapshots of `dataset`, each
+ * with a `name` ("dataset@snap"), `userrefs` (the number of holds) and
+ * `clones` (a comma-separated list of clones, or null).  The options are:
+ *
+ *     prefix  the prefix of managed snapshot names, "auto-" by default
+ *     now     the time of the run, by default the current time
+ *
+ * A new snapshot is planned unless a managed snapshot already exists in the
+ * current period of the shortest kind named in the policy.  Returns
+ *
+ *     {
+ *         create: [ 'zones/data@auto-20261019T140000Z' ],
+ *         destroy: [ 'zones/data@auto-20261017T090000Z', ... ],
+ *         keep: [ ... ],
+ *         skipped: [ { name: ..., reason: 'held' or 'cloned' }, ... ]
+ *     }
+ *
+ * where `skipped` lists expired snapshots that can't be destroyed.
+ */
+function computePlan(dataset, snapshots, policy, options) {
+	var opts = options || {};
+	var prefix = (opts.prefix === undefined) ? DEFAULT_PREFIX : opts.prefix;
+	var now = opts.now || new Date();
+	var result = { create: [], destroy: [], keep: [], skipped: [] };
+	var managed = [];
+	var kept = {};
+	var shortest, err;
+
+	if ((err = validatePolicy(policy)))
+		throw (err);
+
+	snapshots.forEach(function (snap) {
+		var parts = snap.name.split('@');
+		var date;
+
+		if (parts[0] !== dataset ||
+		    parts[1].substr(0, prefix.length) !== prefix)
+			return;
+
+		date = parseTimestamp(parts[1].substr(prefix.length));
+		if (date === null)
+			return;
+
+		managed.push({
+			name: snap.name,
+			date: date,
+			held: snap.userrefs > 0,
+			cloned: Boolean(snap.clones)
+		});
+	});
+
+	Object.keys(PERIODS).forEach(function (period) {
+		if (shortest === undefined && policy[period] !== undefined)
+			shortest = period;
+	});
+
+	if (!managed.some(function (snap) {
+		return (PERIODS[shortest](snap.date) ===
+		    PERIODS[shortest](now));
+	})) {
+		var created = {
+			name: dataset + '@' + prefix + formatTimestamp(now),
+			date: now
+		};
+		result.create.push(created.name);
+		managed.push(created);
+	}
+
+	// newest first, so the first snapshot seen in each period is kept
+	managed.sort(function (a, b) {
+		return (b.date.getTime() - a.date.getTime());
+	});
+
+	Object.keys(policy).forEach(function (period) {
+		var seen = {};
+		var count = 0;
+
+		managed.forEach(function (snap) {
+			var key = PERIODS[period](snap.date);
+
+			if (seen[key] || count >= policy[period])
+				return;
+			seen[key] = true;
+			count++;
+			kept[snap.name] = true;
+		});
+	});
+
+	managed.forEach(function (snap) {
+		if (kept[snap.name]) {
+			if (result.create.indexOf(snap.name) === -1)
+				result.keep.push(snap.name);
+		} else if (snap.held) {
+			result.skipped.push({ name: snap.name,
+			    reason: 'held' });
+		} else if (snap.cloned) {
+			result.skipped.push({ name: snap.name,
+			    reason: 'cloned' });
+		} else {
+			result.destroy.push(snap.name);
+		}
+	});
+
+	return (result);
+}
+
+/*
+ * plan(dataset, policy, [options], callback)
+ *
+ * List the snapshots of `dataset` and call back with what run() would do, as
+ * returned by computePlan().
+ */
+function plan(dataset, policy, options, callback) {
+	var lib = require('./zfs');
+
+	if (typeof (options) === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	var err = validatePolicy(policy);
+	if (err)
+		throw (err);
+
+	lib.zfs.listSnapshotsOf(dataset, {
+		fields: [ 'name', 'userrefs', 'clones' ]
+	}, function (error, fields, snapshots) {
+		if (error)
+			return (callback(error));
+		return (callback(null,
+		    computePlan(dataset, snapshots, policy, options)));
+	});
+}
+
+/*
+ * run(dataset, policy, [options], callback)
+ *
+ * Take a new snapshot of `dataset` if the policy calls for one, then destroy
+ * the expired snapshots, and call back with the plan that was carried out.
+ * With `options.dryRun`, nothing is changed.  The other options are those of
+ * computePlan().  Destruction stops at the first failure.
+ */
+function run(dataset, policy, options, callback) {
+	var lib = require('./zfs');
+
+	if (typeof (options) === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	plan(dataset, policy, options, function (err, p) {
+		if (err)
+			return (callback(err));
+		if (options.dryRun)
+			return (callback(null, p));
+
+		var todo = p.destroy.slice();
+
+		function next(error) {
+			if (error)
+				return (callback(error));
+			if (todo.length === 0)
+				return (callback(null, p));
+			return (lib.zfs.destroy(todo.shift(), next));
+		}
+
+		if (p.create.length === 0)
+			return (next());
+		return (lib.zfs.snapshot(p.create[0], next));
+	});
+}
+
+exports.computePlan = computePlan;
+exports.plan = plan;
+exports.run = run;
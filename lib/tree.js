@@ -0,0 +1,267 @@
+/*
+ * This Source Code Form is subject to the terms of the Mozilla Public
+ * License, v. 2.0. If a copy of the MPL was not distributed with this
+ * file, You can obtain one at http://mozilla.org/MPL/2.0/.
+ */
+
+/*
+ * Copyright (c) 2026, Joyent, Inc.
+ */
+
+/*
+ * Datasets as a tree rather than zfs.list()'s flat table.  Exported as
+ * require('zfs').tree.
+ *
+ * Each dataset is a node:
+ *
+ *     {
+ *         name: 'zones/data',
+ *         properties: { used: 1024, ... },    (the listed fields but name)
+ *         parent: <node>,                     (null for the roots)
+ *         children: [ <node>, ... ],
+ *         snapshots: [ { name: 'zones/data@monday', properties: { ... } } ]
+ *     }
+ *
+ * The roots are the datasets whose parents weren't listed: the pools, or the
+ * dataset a tree was loaded from.  As nodes link to their parents, a tree
+ * can't be passed to JSON.stringify() as it is.
+ */
+
+var SNAPSHOT_FIELDS = [ 'name', 'used', 'refer', 'creation' ];
+
+function parentName(name) {
+	var i = name.lastIndexOf('/');
+
+	return (i === -1 ? null : name.substr(0, i));
+}
+
+function properties(row) {
+	var result = {};
+
+	Object.keys(row).forEach(function (k) {
+		if (k !== 'name')
+			result[k] = row[k];
+	});
+
+	return (result);
+}
+
+/*
+ * build(datasets, [snapshots])
+ *
+ * Build a tree from the objects zfs.list() returns with `objects`, one per
+ * dataset and one per snapshot, and return its roots.  Snapshots of datasets
+ * that aren't listed are left out.
+ */
+function build(datasets, snapshots) {
+	var nodes = {};
+	var roots = [];
+
+	datasets.forEach(function (row) {
+		nodes[row.name] = {
+			name: row.name,
+			properties: properties(row),
+			parent: null,
+			children: [],
+			snapshots: []
+		};
+	});
+
+	datasets.forEach(function (row) {
+		var node = nodes[row.name];
+		var parent = nodes[parentName(row.name)];
+
+		if (parent) {
+			node.parent = parent;
+			parent.children.push(node);
+		} else {
+			roots.push(node);
+		}
+	});
+
+	(snapshots || []).forEach(function (row) {
+		var node = nodes[row.name.split('@')[0]];
+
+		if (node)
+			node.snapshots.push({
+				name: row.name,
+				properties: properties(row)
+			});
+	});
+
+	return (roots);
+}
+
+/*
+ * load([dataset], [options], callback)
+ *
+ * List `dataset` and its descendants (if it's omitted or null, every pool),
+ * along with their snapshots, and call back with the roots of the tree.
+ * Options:
+ *
+ *     fields          the properties of each dataset, by default
+ *                     zfs.listFields_
+ *     snapshotFields  the properties of each snapshot, by default name, used,
+ *                     refer and creation
+ *     type            the types of dataset, by default "filesystem,volume"
+ *     bigint          return byte counts as BigInts
+ *
+ * Values are parsed as zfs.list() does with `parseable` and `objects`.
+ */
+function load(dataset, options, callback) {
+	var lib = require('./zfs');
+
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			dataset  = undefined;
+			options  = {};
+			break;
+		case 2:
+			callback = arguments[1];
+			if (typeof (dataset) === 'object' && dataset !== null) {
+				options = dataset;
+				dataset = undefined;
+			} else {
+				options = {};
+			}
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	if ((dataset !== undefined && dataset !== null &&
+	    typeof (dataset) !== 'string') ||
+	    typeof (options) !== 'object' || options === null ||
+	    typeof (callback) !== 'function')
+		throw Error('Invalid arguments');
+	if (dataset === null)
+		dataset = undefined;
+
+	function listOptions(type, fields) {
+		if (fields.indexOf('name') === -1)
+			fields = [ 'name' ].concat(fields);
+		return ({ type: type, recursive: true, fields: fields,
+		    parseable: true, objects: true, bigint: options.bigint });
+	}
+
+	lib.zfs.list(dataset, listOptions(options.type || 'filesystem,volume',
+	    options.fields || lib.zfs.listFields_),
+	    function (err, fields, datasets) {
+		if (err)
+			return (callback(err));
+
+		return (lib.zfs.list(dataset, listOptions('snapshot',
+		    options.snapshotFields || SNAPSHOT_FIELDS),
+		    function (serr, sfields, snapshots) {
+			if (serr)
+				return (callback(serr));
+			return (callback(null, build(datasets, snapshots)));
+		}));
+	});
+}
+
+/*
+ * walk(nodes, func)
+ *
+ * Call `func` with each node of the tree (or trees) under `nodes`, a node or
+ * an array of them, parents before their children.  If `func` returns false,
+ * the node's descendants are skipped.
+ */
+function walk(nodes, func) {
+	if (!Array.isArray(nodes))
+		nodes = [ nodes ];
+
+	nodes.forEach(function (node) {
+		if (func(node) !== false)
+			walk(node.children, func);
+	});
+}
+
+/*
+ * find(nodes, match)
+ *
+ * Return the first node under `nodes` that is named `match`, or for which the
+ * function `match` returns true, or null if there is none.
+ */
+function find(nodes, match) {
+	var found = null;
+
+	walk(nodes, function (node) {
+		if (found !== null)
+			return (false);
+		if (typeof (match) === 'function' ? match(node) :
+		    node.name === match) {
+			found = node;
+			return (false);
+		}
+		return (true);
+	});
+
+	return (found);
+}
+
+/*
+ * total(nodes, property, [options])
+ *
+ * Add up a numeric property over every node under `nodes`, and with
+ * `options.snapshots`, over their snapshots too.  Values that are null or
+ * missing count as 0.  The total is a BigInt if the values are (as loaded
+ * with `bigint`), or if `options.bigint` is set, even when there are no
+ * values to add.  Note that some properties, such as `used`, already
+ * include their descendants; `usedbydataset`, `refer` or `written` are the
+ * ones to total.
+ *
+ * An Error is returned instead if a value isn't a number or BigInt, if some
+ * values are numbers and others BigInts, or if `options.bigint` is set and
+ * the total isn't a whole number.
+ */
+function total(nodes, property, options) {
+	var opts = options || {};
+	var sum = null;
+	var err = null;
+
+	function add(item) {
+		var value = item.properties[property];
+
+		if (err !== null || value === null || value === undefined)
+			return;
+		if (typeof (value) !== 'number' &&
+		    typeof (value) !== 'bigint') {
+			err = new Error(property + ' of ' + item.name +
+			    ' is not a number: ' + value);
+		} else if (sum !== null && typeof (value) !== typeof (sum)) {
+			err = new Error(property + ' has both number and ' +
+			    'BigInt values');
+		} else {
+			sum = (sum === null) ? value : sum + value;
+		}
+	}
+
+	walk(nodes, function (node) {
+		add(node);
+		if (opts.snapshots)
+			node.snapshots.forEach(add);
+	});
+
+	if (err !== null)
+		return (err);
+	if (sum === null)
+		sum = 0;
+	if (opts.bigint && typeof (global.BigInt) === 'function' &&
+	    typeof (sum) !== 'bigint') {
+		if (Math.floor(sum) !== sum)
+			return (new Error('total of ' + property +
+			    ' is not a whole number: ' + sum));
+		sum = global.BigInt(sum);
+	}
+	return (sum);
+}
+
+exports.build = build;
+exports.load = load;
+exports.walk = walk;
+exports.find = find;
+exports.total = total;
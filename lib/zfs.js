@@ -9,10 +9,15 @@
  */
 
 var cp = require('child_process'),
-    fs = require('fs');
+    fs = require('fs'),
+    util = require('util'),
+    EventEmitter = require('events').EventEmitter,
+    StringDecoder = require('string_decoder').StringDecoder;
 
-var execFile = cp.execFile,
-    spawn    = cp.spawn;
+var execFile    = cp.execFile,
+    spawn       = cp.spawn,
+    PassThrough = require('stream').PassThrough,
+    Transform   = require('stream').Transform;
 
 /*
  * ZFS utilities paths
@@ -27,18 +32,114 @@ var zpool = exports.zpool = function () { };
 // if zfs commands take longer than timeoutDuration it's an error
 var timeoutDuration = exports.timeoutDuration = 10 * 60 * 1000;
 
-function zfsErrorStr(error, stderr) {
-	if (!error)
-		return (null);
+/*
+ * ZfsError
+ *
+ * Every failure of a zfs(1M), zpool(1M) or other command run by this library
+ * is reported to callers as a ZfsError, which carries:
+ *
+ *     cmd        the path of the command that was run
+ *     argv       the arguments it was given
+ *     exitCode   its exit status, or null if it was killed or never ran
+ *     signal     the signal that killed it, if any
+ *     stderr     everything it wrote to stderr
+ *     timedOut   true if it was killed for exceeding timeoutDuration
+ *     code       a classification of the failure (see zfsErrorCodes below),
+ *                'ETIMEDOUT' for timeouts, 'ESPAWN' if the command could not
+ *                be started, or 'EUNKNOWN'
+ *     syscall    with 'ESPAWN', the failed system call, e.g. "spawn
+ *                /sbin/zfs"
+ *     errno      with 'ESPAWN', its error, e.g. -2 (ENOENT)
+ *
+ * A command that could not be started has its own code, rather than the
+ * system's (typically ENOENT or EACCES), so that it isn't mistaken for a
+ * dataset or pool that doesn't exist.
+ *
+ * The message is the command's stderr, so existing checks of the form
+ * err.message.match(/does not exist/) keep working.
+ */
+function ZfsError(options) {
+	var stderr = options.stderr ? options.stderr.toString() : '';
+
+	Error.call(this);
+	if (Error.captureStackTrace)
+		Error.captureStackTrace(this, ZfsError);
+
+	this.name = 'ZfsError';
+	this.cmd = options.cmd;
+	this.argv = options.argv || [];
+	this.exitCode = (typeof (options.exitCode) === 'number') ?
+	    options.exitCode : null;
+	this.signal = options.signal || null;
+	this.stderr = stderr;
+	this.timedOut = Boolean(options.timedOut);
+	if (options.syscall) {
+		this.syscall = options.syscall;
+		this.errno = options.errno;
+	}
+
+	if (this.timedOut) {
+		this.code = 'ETIMEDOUT';
+		this.message = 'Process killed due to timeout.';
+	} else {
+		this.code = options.code || classifyStderr(stderr);
+		this.message = stderr.trim() || options.message ||
+		    (this.cmd + ' exited with status ' + this.exitCode);
+	}
+}
+util.inherits(ZfsError, Error);
+exports.ZfsError = ZfsError;
+
+/*
+ * Patterns in the stderr of the ZFS tools, and the error code each one maps
+ * to.  The first match wins.
+ */
+var zfsErrorCodes = [
+	[ /does not exist|no such (pool|dataset|device|tag)/i, 'ENOENT' ],
+	[ /could not find any snapshots/i, 'ENOENT' ],
+	[ /\b(dataset|snapshot|bookmark|pool) not found/i, 'ENOENT' ],
+	[ /already exists/i, 'EEXIST' ],
+	[ /is busy/i, 'EBUSY' ],
+	[ /has dependent clones/i, 'ECLONED' ],
+	[ /permission denied|must be root|insufficient privileges/i,
+	    'EPERM' ],
+	[ /out of space/i, 'ENOSPC' ],
+	[ new RegExp('\\binvalid (argument|character|dataset|name|option|' +
+	    'permission|property|snapshot|type|value|vdev)|bad property|' +
+	    'usage:|unrecognized (command|option)|too many arguments', 'i'),
+	    'EINVAL' ]
+];
 
-	if (error.killed)
-		return ('Process killed due to timeout.');
+function classifyStderr(stderr) {
+	for (var i = 0; i < zfsErrorCodes.length; i++) {
+		if (zfsErrorCodes[i][0].test(stderr))
+			return (zfsErrorCodes[i][1]);
+	}
 
-	return (error.message || (stderr ? stderr.toString() : ''));
+	return ('EUNKNOWN');
 }
 
-function zfsError(error, stderr) {
-	return (new Error(zfsErrorStr(error, stderr)));
+/*
+ * Build a ZfsError from the error passed back by execFile() (or an object of
+ * the same shape constructed from a child's exit status) and the stderr the
+ * command produced.
+ */
+function zfsError(cmd, argv, error, stderr) {
+	var exited = (typeof (error.code) === 'number');
+	var spawned = /^spawn/.test(error.syscall || '');
+
+	return (new ZfsError({
+		cmd: cmd,
+		argv: argv,
+		exitCode: exited ? error.code : null,
+		signal: error.signal,
+		code: spawned ? 'ESPAWN' : (exited ? undefined : error.code),
+		syscall: spawned ? error.syscall : undefined,
+		errno: error.errno,
+		timedOut: error.killed,
+		message: error.message,
+		stderr: stderr
+	}));
 }
 
 zpool.listFields_ = [ 'name', 'size', 'allocated', 'free', 'cap',
@@ -49,10 +150,14 @@ zpool.listDisks = function () {
 		throw Error('Invalid arguments');
 	var callback = arguments[0];
 
-	execFile('/usr/bin/diskinfo', [ '-Hp' ], { timeout: timeoutDuration },
+	var args = [ '-Hp' ];
+
+	execFile('/usr/bin/diskinfo', args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
-		if (error)
-			return (callback(stderr.toString()));
+		if (error) {
+			return (callback(zfsError('/usr/bin/diskinfo', args,
+			    error, stderr)));
+		}
 
 		var disks = [];
 		var rows = parseTabSeperatedTable(stdout);
@@ -73,6 +178,11 @@ zpool.listDisks = function () {
 	});
 };
 
+/*
+ * List pools, or just `pool` if it is given.  The options are `fields` (by
+ * default zpool.listFields_), `parseable`, `objects` and `bigint`, as for
+ * zfs.list().
+ */
 zpool.list = function () {
 	var pool, opts = {}, callback;
 	switch (arguments.length) {
@@ -103,36 +213,390 @@ zpool.list = function () {
 	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(zfsError(error, stderr)));
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
 		var rows = parseTabSeperatedTable(stdout);
+		if (opts.objects)
+			rows = rowsToObjects(opts.fields, rows, opts);
 		return (callback(null, opts.fields, rows));
 	});
 };
 
-zpool.status = function (pool, callback) {
-	if (arguments.length != 2)
-		throw Error('Invalid arguments');
+/*
+ * zpool.status()
+ *
+ * Run `zpool status` on the named pool and call back with the object produced
+ * by zpool.parseStatus() for that pool.  If `options.verbose` is set, `-v` is
+ * passed so that the files affected by any permanent errors are listed in
+ * `errors.files`.  Before 1.0, this called back with only the state string.
+ */
+zpool.status = function () {
+	var pool, options = {}, callback;
+	switch (arguments.length) {
+		case 2:
+			pool     = arguments[0];
+			callback = arguments[1];
+			break;
+		case 3:
+			pool     = arguments[0];
+			options  = arguments[1];
+			callback = arguments[2];
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'status' ];
+	if (options.verbose)
+		args.push('-v');
+	args.push(pool);
 
-	execFile(exports.paths.zpool, [ 'status', pool ],
-	    { timeout: timeoutDuration },
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
-		stdout = stdout.trim();
-		if (error || stdout == 'no pools available\n') {
-			callback(null, 'UNKNOWN');
-			return;
+		if (error) {
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
 		}
 
-		var lines = stdout.split('\n');
-		for (var i = 0; i < lines.length; i++) {
-			if (lines[i].trim().substr(0, 5) === 'state') {
-				return (callback(null,
-				    lines[i].trim().substr(7)));
-			}
+		var pools = zpool.parseStatus(stdout);
+		if (pools.length === 0) {
+			return (callback(new ZfsError({
+				cmd: exports.paths.zpool,
+				argv: args,
+				exitCode: 0,
+				code: 'ENOENT',
+				stderr: 'no pools available'
+			})));
 		}
-		callback(null, 'UNKNOWN');
+
+		return (callback(null, pools[0]));
 	});
 };
 
+/*
+ * Parse the output of `zpool status`, which may describe several pools, into
+ * an array with one object per pool:
+ *
+ *     {
+ *         name: 'tank',
+ *         state: 'DEGRADED',
+ *         status: 'One or more devices could not be opened. ...',
+ *         action: 'Attach the missing device and online it ...',
+ *         see: 'http://illumos.org/msg/ZFS-8000-2Q',
+ *         scan: { ... },               (see parseScan() below)
+ *         config: { name: 'tank', state: 'DEGRADED', read: 0, write: 0,
+ *             cksum: 0, children: [ { name: 'mirror-0', ... } ] },
+ *         logs: [ ... ], cache: [ ... ], spares: [ ... ],
+ *         special: [ ... ], dedup: [ ... ],
+ *         errors: { message: 'No known data errors', count: 0, files: [] }
+ *     }
+ *
+ * Each vdev has a name, state, read/write/cksum counters (absent for cache
+ * devices and spares that report no counters), an optional trailing message
+ * such as "cannot open" or "(resilvering)", and an array of children.
+ */
+zpool.parseStatus = function (data) {
+	return (parsePoolSections(data).map(function (pool) {
+		return (buildStatus(pool.name, pool.sections));
+	}));
+};
+
+/*
+ * The "key:" lines that start a section of `zpool status` or `zpool import`.
+ * Only these count, as lines within sections can look the same: with `-v`,
+ * permanent errors in a pool's metadata are listed as e.g. "tank:<0x0>".
+ */
+var poolSectionKeys = [ 'pool', 'id', 'state', 'status', 'action', 'see',
+    'comment', 'scan', 'remove', 'checkpoint', 'config', 'errors' ];
+
+/*
+ * Split the output of `zpool status` or `zpool import` into pools, each with
+ * the lines of each of its "key:" sections.
+ */
+function parsePoolSections(data) {
+	var pools = [];
+	var pool = null;
+	var key = null;
+	var sections = {};
+
+	function finish() {
+		if (pool !== null)
+			pools.push({ name: pool, sections: sections });
+		pool = null;
+		sections = {};
+	}
+
+	data.split('\n').forEach(function (line) {
+		var m = line.match(/^ *([a-z]+): ?(.*)$/);
+
+		if (m && poolSectionKeys.indexOf(m[1]) !== -1) {
+			key = m[1];
+			if (key === 'pool') {
+				finish();
+				pool = m[2].trim();
+			}
+			sections[key] = [];
+			if (m[2].trim() !== '')
+				sections[key].push(m[2]);
+			return;
+		}
+
+		if (key !== null && sections[key])
+			sections[key].push(line);
+	});
+	finish();
+
+	return (pools);
+}
+
+function joinText(lines) {
+	if (!lines)
+		return (undefined);
+
+	return (lines.map(function (l) {
+		return (l.trim());
+	}).filter(function (l) {
+		return (l !== '');
+	}).join(' '));
+}
+
+function buildStatus(name, sections) {
+	var status = {
+		name: name,
+		state: joinText(sections.state),
+		status: joinText(sections.status),
+		action: joinText(sections.action),
+		see: joinText(sections.see),
+		scan: parseScan(sections.scan),
+		config: null,
+		logs: [],
+		cache: [],
+		spares: [],
+		special: [],
+		dedup: [],
+		errors: parseStatusErrors(sections.errors)
+	};
+
+	parseVdevTree(sections.config || []).forEach(function (top) {
+		switch (top.name) {
+			case 'logs':
+			case 'cache':
+			case 'spares':
+			case 'special':
+			case 'dedup':
+				if (!top.state) {
+					status[top.name] = top.children;
+					break;
+				}
+				status.config = top;
+				break;
+			default:
+				status.config = top;
+				break;
+		}
+	});
+
+	return (status);
+}
+
+/*
+ * Build the vdev tree from the lines of the "config:" section.  Each device
+ * line is indented with a tab followed by two spaces per level of nesting,
+ * and has the form:
+ *
+ *     <name>  [<state>  [<read> <write> <cksum>]]  [<message>]
+ */
+function parseVdevTree(lines) {
+	var roots = [];
+	var stack = [];
+
+	lines.forEach(function (line) {
+		var m = line.match(/^\t?( *)(\S+)(?:\s+(.*))?$/);
+		var depth, fields, vdev;
+
+		if (!m || /^\s*NAME\s+STATE/.test(line))
+			return;
+
+		depth = Math.floor(m[1].length / 2);
+		fields = m[3] ? m[3].split(/\s+/) : [];
+		vdev = { name: m[2], children: [] };
+
+		if (fields.length > 0 && /^[A-Z]+$/.test(fields[0]))
+			vdev.state = fields.shift();
+		if (fields.length >= 3 && fields.slice(0, 3).every(isCounter)) {
+			vdev.read = parseSize(fields.shift());
+			vdev.write = parseSize(fields.shift());
+			vdev.cksum = parseSize(fields.shift());
+		}
+		if (fields.length > 0)
+			vdev.message = fields.join(' ');
+
+		stack.length = Math.min(stack.length, depth);
+		if (depth === 0 || stack.length === 0)
+			roots.push(vdev);
+		else
+			stack[stack.length - 1].children.push(vdev);
+		stack.push(vdev);
+	});
+
+	return (roots);
+}
+
+function isCounter(str) {
+	return (/^[0-9.]+[KMGTPE]?$/.test(str));
+}
+
+function parseStatusErrors(lines) {
+	var errors = { message: undefined, count: 0, files: [] };
+	var m;
+
+	if (!lines || lines.length === 0)
+		return (errors);
+
+	errors.message = lines[0].trim();
+	if ((m = errors.message.match(/^(\d+) data errors?/)))
+		errors.count = parseInt(m[1], 10);
+
+	lines.slice(1).forEach(function (line) {
+		if (line.trim() !== '')
+			errors.files.push(line.trim());
+	});
+	if (errors.count === 0)
+		errors.count = errors.files.length;
+
+	return (errors);
+}
+
+/*
+ * Parse the "scan:" section of `zpool status`.  The first line says what kind
+ * of scan last ran (or is running) and how it finished, e.g.:
+ *
+ *     none requested
+ *     scrub repaired 0B in 00:00:01 with 0 errors on Sun Jul 25 16:07:49 2021
+ *     resilvered 1.50G in 0h2m with 0 errors on Tue Jan  7 17:27:33 2014
+ *     scrub in progress since Sun Jul 25 16:07:49 2021
+ *     scrub paused since Sun Jul 25 16:07:49 2021
+ *     scrub canceled on Sun Jul 25 16:07:49 2021
+ *
+ * and scans in progress are followed by comma-separated progress clauses such
+ * as "1.23G scanned at 100M/s", "800M issued at 50M/s", "10.0G total",
+ * "0B repaired", "8.00% done" and "00:03:04 to go".  Sizes and rates are
+ * converted to bytes and bytes per second.
+ */
+function parseScan(lines) {
+	var scan = { type: null, state: 'none' };
+	var first, m;
+
+	if (!lines || lines.length === 0)
+		return (scan);
+
+	first = lines[0].trim();
+	scan.raw = lines.map(function (l) {
+		return (l.trim());
+	}).join('\n').trim();
+
+	if ((m = first.match(/^(scrub|resilver) in progress since (.*)$/))) {
+		scan.type = m[1];
+		scan.state = 'scanning';
+		scan.start = new Date(m[2]);
+	} else if ((m = first.match(/^(scrub|resilver) paused since (.*)$/))) {
+		scan.type = m[1];
+		scan.state = 'paused';
+		scan.paused = new Date(m[2]);
+	} else if ((m = first.match(/^(scrub|resilver) canceled on (.*)$/))) {
+		scan.type = m[1];
+		scan.state = 'canceled';
+		scan.end = new Date(m[2]);
+	} else if ((m = first.match(new RegExp('^(scrub repaired|resilvered) ' +
+	    '(\\S+) in (\\S+) with (\\d+) errors on (.*)$')))) {
+		scan.type = (m[1] === 'resilvered') ? 'resilver' : 'scrub';
+		scan.state = 'finished';
+		scan.repaired = parseSize(m[2]);
+		scan.duration = m[3];
+		scan.errors = parseInt(m[4], 10);
+		scan.end = new Date(m[5]);
+	}
+
+	lines.slice(1).join(', ').split(',').forEach(function (clause) {
+		parseScanClause(scan, clause.trim());
+	});
+
+	return (scan);
+}
+
+function parseScanClause(scan, clause) {
+	var m;
+
+	if (clause === '')
+		return;
+
+	if ((m = clause.match(new RegExp('^(\\S+)(?: / (\\S+))? scanned' +
+	    '(?: out of (\\S+))?(?: at (\\S+)/s)?$')))) {
+		scan.scanned = parseSize(m[1]);
+		if (m[2] || m[3])
+			scan.total = parseSize(m[2] || m[3]);
+		if (m[4])
+			scan.rate = parseSize(m[4]);
+	} else if ((m = clause.match(
+	    /^(\S+)(?: \/ (\S+))? issued(?: at (\S+)\/s)?$/))) {
+		scan.issued = parseSize(m[1]);
+		if (m[2])
+			scan.total = parseSize(m[2]);
+		if (m[3])
+			scan.issueRate = parseSize(m[3]);
+	} else if ((m = clause.match(/^(\S+) total$/))) {
+		scan.total = parseSize(m[1]);
+	} else if ((m = clause.match(/^(\S+) (?:repaired|resilvered)$/))) {
+		scan.repaired = parseSize(m[1]);
+	} else if ((m = clause.match(/^([0-9.]+)% done$/))) {
+		scan.percent = parseFloat(m[1]);
+	} else if ((m = clause.match(/^(.+) to go$/))) {
+		scan.eta = m[1];
+		scan.etaSeconds = parseDuration(m[1]);
+	}
+}
+
+/*
+ * Convert a human-readable size such as "1.50G" or "800M" (as printed by the
+ * ZFS tools, which use powers of 1024) to a number of bytes.  Large error
+ * counters are abbreviated the same way.  Returns undefined for anything that
+ * isn't a size.
+ */
+function parseSize(str) {
+	var m = /^([0-9.]+)([BKMGTPEZ]?)/.exec(str);
+	var units = 'BKMGTPEZ';
+
+	if (!m)
+		return (undefined);
+
+	if (!m[2])
+		return (parseFloat(m[1]));
+
+	return (Math.round(parseFloat(m[1]) *
+	    Math.pow(1024, units.indexOf(m[2]))));
+}
+
+/*
+ * Convert a scan duration, either "00:03:04", "1 days 02:03:04" or the older
+ * "0h4m" form, into seconds.
+ */
+function parseDuration(str) {
+	var m, seconds = 0;
+
+	if ((m = str.match(/^(?:(\d+) days? )?(\d+):(\d+):(\d+)$/))) {
+		seconds = parseInt(m[2], 10) * 3600 +
+		    parseInt(m[3], 10) * 60 + parseInt(m[4], 10);
+		if (m[1])
+			seconds += parseInt(m[1], 10) * 86400;
+		return (seconds);
+	}
+
+	if ((m = str.match(/^(\d+)h(\d+)m$/)))
+		return (parseInt(m[1], 10) * 3600 + parseInt(m[2], 10) * 60);
+
+	return (undefined);
+}
+
 /*
  * zpool.create()
  *
@@ -184,7 +648,8 @@ zpool.create = function (pool, config, callback) {
 	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(stderr.toString()));
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
 		return (callback(null));
 	});
 };
@@ -193,11 +658,13 @@ zpool.destroy = function (pool, callback) {
 	if (arguments.length != 2)
 		throw Error('Invalid arguments');
 
-	execFile(exports.paths.zpool, [ 'destroy', pool ],
-	    { timeout: timeoutDuration },
+	var args = [ 'destroy', pool ];
+
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(stderr.toString()));
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
 		return (callback(null));
 	});
 };
@@ -222,349 +689,3557 @@ zpool.upgrade = function (pool) {
 	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(stderr.toString()));
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
 		return (callback(null));
 	});
 };
 
-function parseTabSeperatedTable(data) {
-	var i, numLines, lines = data.trim().split('\n');
-	var rows = [];
-	for (i = 0, numLines = lines.length; i < numLines; i++) {
-		if (lines[i]) {
-			rows.push(lines[i].split('\t'));
-		}
-	}
-	return (rows);
-}
-
 /*
- * Parse the output of `zfs get ...`, invoked by zfs.get below.  The output has
- * the form:
+ * zpool.export(pool, [options], callback)
  *
- *     <dataset name>    <property name>    <property value>
- *
- * and those fields are tab-separated.
+ * Export `pool`, so that it can be imported elsewhere.  With
+ * `options.force`, its file systems are unmounted even if they're in use
+ * (`-f`).
  */
-function parsePropertyList(data) {
-	var lines = data.trim().split('\n');
-	var properties = {};
-	lines.forEach(function (line) {
-		var fields = line.split('\t');
-		if (!properties[fields[0]])
-			properties[fields[0]] = {};
-		properties[fields[0]][fields[1]] = fields[2];
-	});
-
-	return (properties);
-}
-
-var zfs;
-exports.zfs = zfs = function () {};
+zpool.export = function (pool, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
 
-zfs.create = function (name, callback) {
-	if (arguments.length != 2)
-		throw Error('Invalid arguments');
+	var args = [ 'export' ];
+	if (options.force)
+		args.push('-f');
+	args.push(pool);
 
-	execFile(exports.paths.zfs, [ 'create', name ],
-	    { timeout: timeoutDuration },
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(zfsError(error, stderr)));
-		return (callback());
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
+		return (callback(null));
 	});
 };
 
-zfs.set = function (name, properties, callback) {
-	if (arguments.length != 3)
-		throw Error('Invalid arguments');
-
-	var keys = Object.keys(properties);
-
-	// loop over and set all the properties using chained callbacks
-	(function () {
-		var next = arguments.callee;
-		if (!keys.length) {
-			callback();
-			return;
-		}
-		var key = keys.pop();
-
-		execFile(exports.paths.zfs,
-		    ['set', key + '=' + properties[key], name ],
-		    { timeout: timeoutDuration },
-		    function (error, stdout, stderr) {
-			if (error)
-				return (callback(zfsError(error, stderr)));
-			return (next()); // loop by calling enclosing function
-		});
-	})();
-};
-
-zfs.get = function (name, propNames, parseable, callback) {
-	if (arguments.length != 4)
-		throw Error('Invalid arguments');
-
-	var opts = '-H';
-	if (parseable)
-		opts += 'p';
-
-	var argv = [ 'get', opts, '-o', 'name,property,value',
-	    propNames.join(',')];
-	if (name)
-		argv.push(name);
-
-	var stdout = '', stderr = '';
-	var child = spawn(exports.paths.zfs, argv);
+/*
+ * The `zpool import` options to search `options.dirs` (a directory or array
+ * of them) for devices, and to look for destroyed pools.
+ */
+function importSearchArgs(options) {
+	var args = [];
 
-	child.stdout.on('data', function (data) {
-		stdout = stdout + data;
+	[].concat(options.dirs || []).forEach(function (dir) {
+		args.push('-d', dir);
 	});
+	if (options.destroyed)
+		args.push('-D');
 
-	child.stderr.on('data', function (data) {
-		stderr = stderr + data;
-	});
+	return (args);
+}
 
-	child.on('close', function (error) {
-		if (error) {
-			return (callback(zfsError(error, stderr)));
-		}
-		return (callback(null, parsePropertyList(stdout)));
-	});
-};
+/*
+ * zpool.import(pool, [options], callback)
+ *
+ * Import the pool with the name or numeric id `pool`.  Options:
+ *
+ *     dirs        a directory or array of directories to search for devices
+ *                 or files, instead of /dev/dsk (`-d`)
+ *     destroyed   import a destroyed pool (`-D`)
+ *     newName     import the pool under this name instead
+ *     altroot     mount the pool's file systems under this directory
+ *                 (`-R`)
+ *     readonly    import the pool read-only (`-o readonly=on`)
+ *     properties  object of pool properties to set for the import (`-o`)
+ *     force       import a pool that appears to be in use elsewhere (`-f`)
+ *     noMount     don't mount the pool's file systems (`-N`)
+ */
+zpool.import = function (pool, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
 
-zfs.snapshot = function (name, callback) {
-	if (arguments.length != 2)
-		throw Error('Invalid arguments');
+	var args = [ 'import' ].concat(importSearchArgs(options));
+	if (options.force)
+		args.push('-f');
+	if (options.noMount)
+		args.push('-N');
+	if (options.altroot)
+		args.push('-R', options.altroot);
+	if (options.readonly)
+		args.push('-o', 'readonly=on');
+	Object.keys(options.properties || {}).forEach(function (key) {
+		args.push('-o', key + '=' + options.properties[key]);
+	});
+	args.push(String(pool));
+	if (options.newName)
+		args.push(options.newName);
 
-	execFile(exports.paths.zfs, ['snapshot', name],
-	    { timeout: timeoutDuration },
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(zfsError(error, stderr)));
-		return (callback());
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
+		return (callback(null));
 	});
 };
 
-zfs.clone = function (snapshot, name, callback) {
-	if (arguments.length != 3)
-		throw Error('Invalid arguments');
+/*
+ * Parse the output of a bare `zpool import`, which describes the pools that
+ * could be imported, into an array with one object per pool:
+ *
+ *     {
+ *         name: 'tank',
+ *         id: '15161305389212348617',     (a string, as it may not fit in a
+ *                                          number)
+ *         state: 'ONLINE',
+ *         status: ..., action: ..., see: ..., comment: ...,
+ *         config: { name: 'tank', state: 'ONLINE', children: [ ... ] },
+ *         logs: [ ... ], cache: [ ... ], spares: [ ... ],
+ *         special: [ ... ], dedup: [ ... ]
+ *     }
+ *
+ * where the vdev tree is as described at zpool.parseStatus(), but without
+ * error counters.
+ */
+zpool.parseImport = function (data) {
+	return (parsePoolSections(data).map(function (pool) {
+		var status = buildStatus(pool.name, pool.sections);
 
-	execFile(exports.paths.zfs, ['clone', snapshot, name],
-	    { timeout: timeoutDuration },
+		delete status.scan;
+		delete status.errors;
+		status.id = joinText(pool.sections.id);
+		status.comment = joinText(pool.sections.comment);
+
+		return (status);
+	}));
+};
+
+/*
+ * zpool.importable([options], callback)
+ *
+ * Call back with the pools that could be imported, as described at
+ * zpool.parseImport().  `options.dirs` and `options.destroyed` are as for
+ * zpool.import().
+ */
+zpool.importable = function (options, callback) {
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			options  = {};
+			break;
+		case 2:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'import' ].concat(importSearchArgs(options));
+
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error) {
+			if (/no pools available/.test(stderr))
+				return (callback(null, []));
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
+		}
+		return (callback(null, zpool.parseImport(stdout)));
+	});
+};
+
+/*
+ * zpool.scrub(pool, [options], callback)
+ *
+ * Start a scrub of `pool`, or resume a paused one.  With `options.pause`, a
+ * running scrub is paused instead (`-p`); with `options.stop`, it's stopped
+ * (`-s`).  Use zpool.monitorScan() to follow its progress.
+ */
+zpool.scrub = function (pool, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'scrub' ];
+	if (options.pause)
+		args.push('-p');
+	if (options.stop)
+		args.push('-s');
+	args.push(pool);
+
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
+		return (callback(null));
+	});
+};
+
+/*
+ * ScanMonitor
+ *
+ * Polls `zpool status` of a pool every `options.interval` milliseconds (10
+ * seconds by default) for the scrub or resilver that has been started on it,
+ * and emits:
+ *
+ *     'progress' (scan, status)   on each poll that finds the scan in
+ *                                 progress
+ *     'paused' (scan, status)     if the scan is paused
+ *     'done' (scan, status)       once it has finished or been canceled;
+ *                                 the scan's state is then "finished" or
+ *                                 "canceled"
+ *     'error' (err)               if `zpool status` fails, or if no scan
+ *                                 shows up within `options.startTimeout`
+ *                                 milliseconds (60 seconds by default), in
+ *                                 which case err.code is 'ETIMEDOUT'
+ *
+ * where `scan` is the object described at parseScan() (with percent,
+ * scanned, issued, rate, eta, etaSeconds, repaired and, once finished,
+ * errors), and `status` is all of zpool.status()'s result.  Polling stops
+ * after 'paused', 'done' or 'error', or when stop() is called.
+ *
+ * A scan that has already finished counts only if it ended at or after
+ * `options.since` (a Date, by default when the monitor was created), so that
+ * the previous scan's result isn't mistaken for that of one that has yet to
+ * show up.  Scans that are quick enough to finish before the first poll are
+ * best caught by taking `since` before starting them.
+ */
+function ScanMonitor(pool, options) {
+	var self = this;
+
+	EventEmitter.call(this);
+	this.pool = pool;
+	this.interval = options.interval || 10 * 1000;
+	this.startTimeout = (options.startTimeout !== undefined) ?
+	    options.startTimeout : 60 * 1000;
+	// zpool status reports times to the second
+	this.since = Math.floor((options.since || new Date()).getTime() /
+	    1000) * 1000;
+	this.created = Date.now();
+	this.seen = false;
+	this.stopped = false;
+	this.timer = setTimeout(function () {
+		self.poll();
+	}, 0);
+}
+util.inherits(ScanMonitor, EventEmitter);
+
+ScanMonitor.prototype.poll = function () {
+	var self = this;
+
+	this.timer = null;
+	zpool.status(this.pool, function (err, status) {
+		if (self.stopped)
+			return;
+		if (err)
+			return (self.finish('error', err));
+
+		var scan = status.scan;
+		switch (scan.state) {
+			case 'scanning':
+				self.seen = true;
+				self.emit('progress', scan, status);
+				break;
+			case 'paused':
+				return (self.finish('paused', scan, status));
+			case 'finished':
+			case 'canceled':
+				if (self.seen ||
+				    scan.end.getTime() >= self.since)
+					return (self.finish('done', scan,
+					    status));
+				break;
+			default:
+				break;
+		}
+
+		if (!self.seen &&
+		    Date.now() - self.created >= self.startTimeout) {
+			var timeout = new Error('no scrub or resilver of ' +
+			    self.pool + ' started within ' + self.startTimeout +
+			    'ms');
+			timeout.code = 'ETIMEDOUT';
+			return (self.finish('error', timeout));
+		}
+
+		if (!self.stopped) {
+			self.timer = setTimeout(function () {
+				self.poll();
+			}, self.interval);
+		}
+		return (null);
+	});
+};
+
+/*
+ * Stop polling and emit `event` with the remaining arguments.
+ */
+ScanMonitor.prototype.finish = function () {
+	this.stopped = true;
+	this.emit.apply(this, arguments);
+	return (null);
+};
+
+ScanMonitor.prototype.stop = function () {
+	this.stopped = true;
+	if (this.timer !== null) {
+		clearTimeout(this.timer);
+		this.timer = null;
+	}
+};
+
+/*
+ * zpool.monitorScan(pool, [options])
+ *
+ * Return a ScanMonitor following the scrub or resilver of `pool`, e.g.
+ *
+ *     var since = new Date();
+ *     zpool.scrub('zones', function (err) {
+ *         zpool.monitorScan('zones', { interval: 60 * 1000, since: since })
+ *             .on('progress', function (scan) { ... scan.percent ... })
+ *             .on('done', function (scan) { ... scan.errors ... });
+ *     });
+ */
+zpool.monitorScan = function (pool, options) {
+	return (new ScanMonitor(pool, options || {}));
+};
+
+/*
+ * The latency histogram columns of `zpool iostat -w`, in order, after the
+ * upper bound of each bucket.  With -p, bounds are in nanoseconds.  Versions
+ * of zpool without device rebuilds leave off the last column.
+ */
+var iostatHistograms = [
+	[ 'totalWait', 'read' ], [ 'totalWait', 'write' ],
+	[ 'diskWait', 'read' ], [ 'diskWait', 'write' ],
+	[ 'syncqWait', 'read' ], [ 'syncqWait', 'write' ],
+	[ 'asyncqWait', 'read' ], [ 'asyncqWait', 'write' ],
+	[ 'scrubWait' ], [ 'trimWait' ], [ 'rebuildWait' ]
+];
+
+/*
+ * The rows `zpool iostat -v` prints ahead of a pool's log, cache, spare and
+ * allocation class vdevs, with no statistics of their own.
+ */
+var iostatGroups = [ 'logs', 'cache', 'spares', 'special', 'dedup' ];
+
+function iostatNumber(str) {
+	if (str === undefined || !/^[0-9.]+$/.test(str.trim()))
+		return (null);
+	return (Number(str));
+}
+
+/*
+ * Parse a line of `zpool iostat -Hp` output, for a pool or a vdev, into
+ *
+ *     {
+ *         name: 'tank',
+ *         alloc: 1073741824,              (null for vdevs without one)
+ *         free: 9663676416,
+ *         ops: { read: 12, write: 40 },
+ *         bandwidth: { read: 49152, write: 1638400 }
+ *     }
+ */
+function parseIostatLine(line) {
+	var fields = line.split('\t');
+
+	return ({
+		name: fields[0].trim(),
+		alloc: iostatNumber(fields[1]),
+		free: iostatNumber(fields[2]),
+		ops: {
+			read: iostatNumber(fields[3]),
+			write: iostatNumber(fields[4])
+		},
+		bandwidth: {
+			read: iostatNumber(fields[5]),
+			write: iostatNumber(fields[6])
+		}
+	});
+}
+
+/*
+ * Parse the lines of one interval of `zpool iostat -Hp` output into an array
+ * of pools as described at parseIostatLine(), each with an array of `vdevs`
+ * (empty without -v).  The names in `pools` tell pools from vdevs; failing
+ * that, only the first row is taken to be a pool.  Vdevs listed under one of
+ * the iostatGroups have it as their `group`, and other vdevs have null.
+ */
+function parseIostatStats(lines, pools) {
+	var result = [];
+	var pool = null;
+	var group = null;
+
+	lines.forEach(function (line) {
+		var row;
+
+		if (line.trim() === '')
+			return;
+
+		row = parseIostatLine(line);
+		if (pool === null || pools.indexOf(row.name) !== -1) {
+			row.vdevs = [];
+			result.push(row);
+			pool = row;
+			group = null;
+		} else if (iostatGroups.indexOf(row.name) !== -1 &&
+		    row.ops.read === null && row.ops.write === null) {
+			group = row.name;
+		} else {
+			row.group = group;
+			pool.vdevs.push(row);
+		}
+	});
+
+	return (result);
+}
+
+/*
+ * Parse the lines of one interval of `zpool iostat -Hpw` output, in which
+ * each pool and vdev has a line with its name and then a line per histogram
+ * bucket, into an array of pools, each with its vdevs, as
+ *
+ *     {
+ *         name: 'tank',
+ *         latency: {
+ *             buckets: [ 1, 3, 7, ..., 137438953471 ],
+ *             totalWait: { read: [ 0, 0, ... ], write: [ ... ] },
+ *             diskWait: { ... }, syncqWait: { ... }, asyncqWait: { ... },
+ *             scrubWait: [ ... ], trimWait: [ ... ], rebuildWait: [ ... ]
+ *         },
+ *         vdevs: [ { name: 'mirror-0', latency: { ... } }, ... ]
+ *     }
+ *
+ * where `buckets` are the upper bounds of the buckets in nanoseconds and each
+ * histogram has the number of I/Os in each bucket.
+ */
+function parseIostatHistograms(lines, pools) {
+	var result = [];
+	var pool = null;
+	var current = null;
+
+	lines.forEach(function (line) {
+		var fields = line.split('\t');
+		var name = line.trim();
+
+		if (name === '')
+			return;
+
+		if (fields.length === 1) {
+			if (iostatGroups.indexOf(name) !== -1)
+				return;
+			current = { name: name, latency: { buckets: [] } };
+			if (pool === null || pools.indexOf(name) !== -1) {
+				current.vdevs = [];
+				result.push(current);
+				pool = current;
+			} else {
+				pool.vdevs.push(current);
+			}
+			return;
+		}
+
+		if (current === null)
+			return;
+
+		current.latency.buckets.push(iostatNumber(fields[0]));
+		iostatHistograms.forEach(function (col, i) {
+			var latency = current.latency;
+			var value = iostatNumber(fields[1 + i]);
+
+			if (fields.length <= 1 + i)
+				return;
+			if (col.length === 1) {
+				if (!latency[col[0]])
+					latency[col[0]] = [];
+				latency[col[0]].push(value);
+				return;
+			}
+			if (!latency[col[0]])
+				latency[col[0]] = {};
+			if (!latency[col[0]][col[1]])
+				latency[col[0]][col[1]] = [];
+			latency[col[0]][col[1]].push(value);
+		});
+	});
+
+	return (result);
+}
+
+/*
+ * Return a reader of `zpool iostat -T u` output, with `write` to be called
+ * with each piece of output and `end` once there is no more.  An interval's
+ * output starts with a line holding the time, so `onInterval` is called with
+ * each interval's { time: <Date>, lines: [ ... ] } once the next one starts,
+ * or at the end.
+ */
+function iostatReader(onInterval) {
+	var partial = '';
+	var interval = null;
+
+	function complete() {
+		var i = interval;
+
+		interval = null;
+		if (i !== null)
+			onInterval(i);
+	}
+
+	function line(l) {
+		if (/^[0-9]+$/.test(l.trim())) {
+			complete();
+			interval = {
+				time: new Date(parseInt(l, 10) * 1000),
+				lines: []
+			};
+		} else if (interval !== null) {
+			interval.lines.push(l);
+		}
+	}
+
+	function write(data) {
+		var lines = (partial + data).split('\n');
+
+		partial = lines.pop();
+		lines.forEach(line);
+	}
+
+	function end() {
+		if (partial !== '')
+			line(partial);
+		partial = '';
+		complete();
+	}
+
+	return ({ write: write, end: end });
+}
+
+/*
+ * zpool.parseIostat(data, [options])
+ *
+ * Parse the output of `zpool iostat -Hp -T u`, or with `options.histograms`
+ * of `zpool iostat -Hpw -T u`, into an array of the samples IostatSampler
+ * emits, without the latency histograms of pools and vdevs in the former and
+ * with nothing but them in the latter.  `options.pools` names the pools the
+ * output is of, which with -v tells them from their vdevs.
+ */
+zpool.parseIostat = function (data, options) {
+	var opts = options || {};
+	var pools = [].concat(opts.pools || []);
+	var parse = opts.histograms ? parseIostatHistograms : parseIostatStats;
+	var samples = [];
+	var reader = iostatReader(function (interval) {
+		samples.push({
+			time: interval.time,
+			index: samples.length,
+			pools: parse(interval.lines, pools)
+		});
+	});
+
+	reader.write(data);
+	reader.end();
+
+	return (samples);
+};
+
+/*
+ * Add the latency histograms of each pool and vdev, as returned by
+ * parseIostatHistograms(), to the same pool or vdev in `pools`.
+ */
+function addIostatHistograms(pools, histograms) {
+	function named(list, name) {
+		var found = null;
+
+		list.forEach(function (item) {
+			if (found === null && item.name === name)
+				found = item;
+		});
+
+		return (found);
+	}
+
+	pools.forEach(function (pool) {
+		var h = named(histograms, pool.name);
+
+		if (h === null)
+			return;
+		pool.latency = h.latency;
+		pool.vdevs.forEach(function (vdev) {
+			var hv = named(h.vdevs, vdev.name);
+
+			if (hv !== null)
+				vdev.latency = hv.latency;
+		});
+	});
+}
+
+/*
+ * IostatSampler
+ *
+ * Runs `zpool iostat -Hp -T u` on one or more pools every `interval` seconds
+ * until stopped, and emits:
+ *
+ *     'sample' (sample)   once per interval
+ *     'error' (err)       if `zpool iostat` fails
+ *     'end'               once it has exited, after stop() or an error
+ *
+ * Each sample is
+ *
+ *     {
+ *         time: <Date>,
+ *         index: 0,
+ *         pools: [ {
+ *             name: 'tank', alloc: ..., free: ..., ops: { ... },
+ *             bandwidth: { ... }, latency: { ... },
+ *             vdevs: [ { name: 'mirror-0', group: null, ... }, ... ]
+ *         } ]
+ *     }
+ *
+ * where the pools and vdevs are as described at parseIostatStats(), and vdevs
+ * are listed (in the order zpool iostat prints them) only with `verbose`.
+ * With `latency`, `zpool iostat -w` runs alongside, as it can't be combined
+ * with the other statistics, and each pool and vdev also has the `latency`
+ * histograms described at parseIostatHistograms().
+ *
+ * As with `zpool iostat`, the first sample (index 0) is of the averages since
+ * each pool was imported; the rest cover the preceding interval.  A sample is
+ * only known to be complete once the next one starts, so each is emitted an
+ * interval after it was taken.
+ */
+function IostatSampler(pools, options) {
+	var args = [ 'iostat', '-Hp', '-T', 'u' ];
+	var operands;
+
+	EventEmitter.call(this);
+	this.pools = [].concat(pools);
+	this.index = 0;
+	this.children = [];
+	this.queues = [];
+	this.exited = 0;
+	this.error = null;
+	this.stopped = false;
+	this.done = false;
+
+	if (options.verbose)
+		args.push('-v');
+	operands = this.pools.concat(String(options.interval || 1));
+
+	this.spawn(args.concat(operands), parseIostatStats);
+	if (options.latency)
+		this.spawn(args.concat('-w', operands), parseIostatHistograms);
+}
+util.inherits(IostatSampler, EventEmitter);
+
+/*
+ * Run `zpool iostat` with `args`, and queue each interval of its output as
+ * parsed by `parse` for merge() to make into a sample.
+ */
+IostatSampler.prototype.spawn = function (args, parse) {
+	var self = this;
+	var queue = [];
+	var decoder = new StringDecoder('utf8');
+	var stderr = '';
+	var exited = false;
+	var child = spawn(exports.paths.zpool, args);
+	var reader = iostatReader(function (interval) {
+		queue.push({
+			time: interval.time,
+			pools: parse(interval.lines, self.pools)
+		});
+		self.merge();
+	});
+
+	function exit(err) {
+		if (exited)
+			return;
+		exited = true;
+		if (err)
+			self.fail(err);
+		if (++self.exited === self.children.length)
+			self.finish();
+	}
+
+	this.children.push(child);
+	this.queues.push(queue);
+
+	child.stdout.on('data', function (data) {
+		reader.write(decoder.write(data));
+	});
+	child.stderr.on('data', function (data) {
+		stderr = stderr + data;
+	});
+	child.on('error', function (error) {
+		exit(zfsError(exports.paths.zpool, args, error, stderr));
+	});
+	child.on('close', function (code, signal) {
+		reader.write(decoder.end());
+		reader.end();
+		if (self.stopped || code === 0)
+			return (exit());
+		return (exit(zfsError(exports.paths.zpool, args,
+		    { code: code, signal: signal }, stderr)));
+	});
+};
+
+/*
+ * Emit a sample for each interval every `zpool iostat` has output.
+ */
+IostatSampler.prototype.merge = function () {
+	var sample, histograms;
+
+	while (this.queues.every(function (q) { return (q.length > 0); })) {
+		sample = this.queues[0].shift();
+		if (this.queues.length > 1) {
+			histograms = this.queues[1].shift();
+			addIostatHistograms(sample.pools, histograms.pools);
+		}
+		sample.index = this.index++;
+		if (sample.pools.length > 0 && !this.stopped)
+			this.emit('sample', sample);
+	}
+};
+
+IostatSampler.prototype.fail = function (err) {
+	if (this.error === null)
+		this.error = err;
+	this.stop();
+};
+
+IostatSampler.prototype.finish = function () {
+	if (this.done)
+		return;
+	this.done = true;
+	this.stopped = true;
+	if (this.error)
+		this.emit('error', this.error);
+	this.emit('end');
+};
+
+/*
+ * Stop sampling.  No more samples are emitted, and 'end' follows once
+ * `zpool iostat` has exited.
+ */
+IostatSampler.prototype.stop = function () {
+	if (this.stopped)
+		return;
+	this.stopped = true;
+	this.children.forEach(function (child) {
+		child.kill();
+	});
+};
+
+/*
+ * zpool.iostat(pool, [options])
+ *
+ * Return an IostatSampler of `pool` (or an array of pools).  Options:
+ *
+ *     interval  seconds between samples, 1 by default
+ *     verbose   include each pool's vdevs (`-v`)
+ *     latency   include latency histograms (`-w`)
+ */
+zpool.iostat = function (pool, options) {
+	if (typeof (pool) !== 'string' && !Array.isArray(pool))
+		throw Error('Invalid arguments');
+
+	return (new IostatSampler(pool, options || {}));
+};
+
+/*
+ * Convert a hexadecimal value printed by `zpool events -v` to a number, or,
+ * for values too large to be represented exactly (such as GUIDs), to a
+ * decimal string, where the platform has BigInt, or else the hex string.
+ */
+function eventHex(str) {
+	var n = parseInt(str, 16);
+
+	if (n <= 9007199254740991)
+		return (n);
+	if (typeof (global.BigInt) === 'function')
+		return (String(global.BigInt(str)));
+	return (str);
+}
+
+function eventToken(token) {
+	if (/^".*"$/.test(token))
+		return (token.substr(1, token.length - 2));
+	if (/^0x[0-9a-f]+$/i.test(token))
+		return (eventHex(token));
+	if (/^-?[0-9]+$/.test(token))
+		return (Number(token));
+	return (token);
+}
+
+/*
+ * Parse the value of an nvpair.  Arrays are printed as their elements
+ * followed by spaces, so a trailing space marks an array even of one.
+ */
+function eventValue(raw) {
+	var tokens = raw.match(/"[^"]*"|\S+/g) || [];
+	var values = tokens.map(eventToken);
+
+	if (/ $/.test(raw) || values.length > 1)
+		return (values);
+	return (values.length === 1 ? values[0] : '');
+}
+
+/*
+ * Return a parser of `zpool events -H -v` output, with `line` to be called
+ * with each line and `end` at the end of the output.  Each returns an event
+ * once one is complete, as described at zpool.followEvents().  Events start
+ * with an unindented "<time>\t<class>" line, followed by their nvpairs, one
+ * "name = value" per line, indented by 8 spaces per level of nesting, and
+ * end with a blank line.  Nested nvlists are printed as
+ *
+ *     name = (embedded nvlist)
+ *         ...
+ *     (end name)
+ *
+ * and arrays of them as "name = (N embedded nvlists)", followed by each
+ * element in that form, named "name[i]".
+ */
+function eventParser() {
+	var event = null;
+	var stack = [];
+
+	function complete() {
+		var e = event;
+		var p, time;
+
+		event = null;
+		stack = [];
+		if (e === null)
+			return (undefined);
+
+		p = e.payload;
+		if (Array.isArray(p.time) && p.time.length === 2)
+			time = new Date(p.time[0] * 1000 +
+			    Math.floor(p.time[1] / 1000000));
+		else
+			time = new Date(e.header.replace(/\.\d+/, ''));
+
+		return ({
+			time: time,
+			'class': p['class'] || e['class'],
+			pool: (p.pool !== undefined) ? p.pool : null,
+			poolGuid: (p.pool_guid !== undefined) ?
+			    p.pool_guid : null,
+			vdevGuid: (p.vdev_guid !== undefined) ?
+			    p.vdev_guid : null,
+			vdevPath: (p.vdev_path !== undefined) ?
+			    p.vdev_path : null,
+			eid: (p.eid !== undefined) ? p.eid : null,
+			payload: p
+		});
+	}
+
+	function line(l) {
+		var m, header, target, obj, element;
+
+		if (l.trim() === '')
+			return (complete());
+
+		if (!/^\s/.test(l)) {
+			if (/^TIME\s+CLASS$/.test(l.trim()))
+				return (undefined);
+			header = complete();
+			m = l.match(/^(.*\S)\s+(\S+)$/);
+			event = {
+				header: m ? m[1] : l,
+				'class': m ? m[2] : null,
+				payload: {}
+			};
+			stack = [ event.payload ];
+			return (header);
+		}
+
+		if (event === null)
+			return (undefined);
+
+		if (/^\s*\(end .*\)\s*$/.test(l)) {
+			if (stack.length > 1)
+				stack.pop();
+			return (undefined);
+		}
+
+		m = l.match(/^\s*(\S+) = (.*)$/);
+		if (!m)
+			return (undefined);
+
+		target = stack[stack.length - 1];
+		if (m[2].trim() === '(embedded nvlist)') {
+			obj = {};
+			element = m[1].match(/^(.*)\[(\d+)\]$/);
+			if (element && Array.isArray(target[element[1]]))
+				target[element[1]][Number(element[2])] = obj;
+			else
+				target[m[1]] = obj;
+			stack.push(obj);
+		} else if (/^\(\d+ embedded nvlists\)$/.test(m[2].trim())) {
+			target[m[1]] = [];
+		} else {
+			target[m[1]] = eventValue(m[2]);
+		}
+
+		return (undefined);
+	}
+
+	return ({ line: line, end: complete });
+}
+
+/*
+ * zpool.parseEvents(data)
+ *
+ * Parse the complete output of `zpool events -H -v` into an array of the
+ * events zpool.followEvents() emits.
+ */
+zpool.parseEvents = function (data) {
+	var parser = eventParser();
+	var events = [];
+
+	data.split('\n').forEach(function (l) {
+		var e = parser.line(l);
+
+		if (e !== undefined)
+			events.push(e);
+	});
+	if ((data = parser.end()) !== undefined)
+		events.push(data);
+
+	return (events);
+};
+
+/*
+ * zpool.followEvents([pool])
+ *
+ * Run `zpool events -H -v -f`, for `pool` or by default every pool, and
+ * return a readable stream of an object for each event, first those already
+ * logged and then new ones as they happen:
+ *
+ *     {
+ *         time: <Date>,
+ *         'class': 'ereport.fs.zfs.checksum',
+ *         pool: 'zones',                  (or null)
+ *         poolGuid: '13835362948371924371',
+ *         vdevGuid: '10215958826416389493',   (or null)
+ *         vdevPath: '/dev/dsk/c1t1d0s0',  (or null)
+ *         eid: 42,
+ *         payload: { 'class': ..., ena: ..., detector: { ... }, ... }
+ *     }
+ *
+ * The payload has every nvpair of the event, with nested nvlists as objects
+ * and arrays as arrays.  Strings are strings; integers, which are printed in
+ * hex, are numbers, except for those too large to be exact, such as GUIDs,
+ * which are decimal strings (as `zpool status -g` prints GUIDs).
+ *
+ * The stream emits 'error' with a ZfsError if `zpool events` fails, and
+ * stop() ends it.
+ */
+zpool.followEvents = function (pool) {
+	var parser = eventParser();
+	var args = [ 'events', '-H', '-v', '-f' ];
+
+	if (pool)
+		args.push(pool);
+
+	return (spawnParser(exports.paths.zpool, args, parser.line,
+	    parser.end));
+};
+
+/*
+ * zpool.events([pool], [options], callback)
+ *
+ * Call back with the events logged so far, for `pool` or by default every
+ * pool, as described at zpool.followEvents().  With `options.clear`, the
+ * event log of every pool is then cleared (events logged in between are
+ * lost too).
+ */
+zpool.events = function () {
+	var pool, options = {}, callback;
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			break;
+		case 2:
+			if (typeof (arguments[0]) === 'object' &&
+			    arguments[0] !== null)
+				options = arguments[0];
+			else
+				pool = arguments[0];
+			callback = arguments[1];
+			break;
+		case 3:
+			pool     = arguments[0];
+			options  = arguments[1];
+			callback = arguments[2];
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var parser = eventParser();
+	var args = [ 'events', '-H', '-v' ];
+	if (pool)
+		args.push(pool);
+
+	collect(spawnParser(exports.paths.zpool, args, parser.line,
+	    parser.end), function (err, events) {
+		if (err)
+			return (callback(err));
+		if (!options.clear)
+			return (callback(null, events));
+		return (zpool.clearEvents(function (cerr) {
+			if (cerr)
+				return (callback(cerr));
+			return (callback(null, events));
+		}));
+	});
+};
+
+/*
+ * zpool.clearEvents(callback)
+ *
+ * Clear the event log of every pool.
+ */
+zpool.clearEvents = function (callback) {
+	if (arguments.length != 1)
+		throw Error('Invalid arguments');
+
+	var args = [ 'events', '-c' ];
+
+	execFile(exports.paths.zpool, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zpool, args,
+			    error, stderr)));
+		return (callback(null));
+	});
+};
+
+function parseTabSeperatedTable(data) {
+	var i, numLines, lines = data.trim().split('\n');
+	var rows = [];
+	for (i = 0, numLines = lines.length; i < numLines; i++) {
+		if (lines[i]) {
+			rows.push(lines[i].split('\t'));
+		}
+	}
+	return (rows);
+}
+
+/*
+ * A transform stream that splits its input into lines and emits, in object
+ * mode, whatever `parse` returns for each line (or nothing, if it returns
+ * undefined).  When the input ends, it also emits whatever the optional
+ * `finish` returns, for parsers of records that span several lines.  It's
+ * used to parse the output of long-running or verbose commands as it
+ * arrives.
+ */
+function LineParser(parse, finish) {
+	Transform.call(this, { objectMode: true });
+	this.lp_parse = parse;
+	this.lp_finish = finish;
+	this.lp_partial = '';
+	this.lp_decoder = new StringDecoder('utf8');
+}
+util.inherits(LineParser, Transform);
+
+LineParser.prototype._transform = function (chunk, encoding, done) {
+	var lines = (this.lp_partial +
+	    this.lp_decoder.write(chunk)).split('\n');
+
+	this.lp_partial = lines.pop();
+	this.lp_push(lines);
+	done();
+};
+
+LineParser.prototype._flush = function (done) {
+	var obj;
+
+	this.lp_partial = this.lp_partial + this.lp_decoder.end();
+	if (this.lp_partial !== '')
+		this.lp_push([ this.lp_partial ]);
+	this.lp_partial = '';
+	if (this.lp_finish && (obj = this.lp_finish()) !== undefined)
+		this.push(obj);
+	done();
+};
+
+LineParser.prototype.lp_push = function (lines) {
+	var self = this;
+
+	lines.forEach(function (line) {
+		var obj = self.lp_parse(line);
+
+		if (obj !== undefined)
+			self.push(obj);
+	});
+};
+
+/*
+ * Run `cmd` with `args` and return a LineParser of its stdout.  The stream
+ * ends when the command exits successfully, and emits 'error' with a
+ * ZfsError if it fails.  `parse` and `flush` are as for LineParser.  The
+ * child process is available as `stream.child`, and `stream.stop()` kills
+ * it, ending the stream without an error.
+ */
+function spawnParser(cmd, args, parse, flush) {
+	var stream = new LineParser(parse, flush);
+	var stopped = false;
+	var stderr = '';
+	var done = false;
+	var child = spawn(cmd, args, { stdio: [ 'ignore', 'pipe', 'pipe' ] });
+
+	function finish(error) {
+		if (done)
+			return;
+		done = true;
+		if (error)
+			stream.emit('error', error);
+		else
+			stream.end();
+	}
+
+	stream.child = child;
+	stream.stop = function () {
+		stopped = true;
+		child.kill();
+	};
+	child.stdout.pipe(stream, { end: false });
+
+	child.stderr.on('data', function (data) {
+		stderr = stderr + data;
+	});
+
+	child.on('error', function (error) {
+		finish(zfsError(cmd, args, error, stderr));
+	});
+
+	child.on('close', function (code, signal) {
+		if (code !== 0 && !stopped) {
+			finish(zfsError(cmd, args,
+			    { code: code, signal: signal }, stderr));
+			return;
+		}
+		finish();
+	});
+
+	return (stream);
+}
+
+/*
+ * Collect everything a stream emits into an array, and call back with it
+ * once the stream ends.
+ */
+function collect(stream, callback) {
+	var items = [];
+	var done = false;
+
+	stream.on('data', function (item) {
+		items.push(item);
+	});
+	stream.on('error', function (error) {
+		if (done)
+			return;
+		done = true;
+		callback(error);
+	});
+	stream.on('end', function () {
+		if (done)
+			return;
+		done = true;
+		callback(null, items);
+	});
+}
+
+/*
+ * Parse the output of `zfs get ...`, invoked by zfs.get below.  The output has
+ * the form:
+ *
+ *     <dataset name>    <property name>    <property value>
+ *
+ * and those fields are tab-separated.  User property values may themselves
+ * contain tabs, so everything after the second tab is the value.
+ */
+function parsePropertyList(data) {
+	var properties = {};
+
+	data.split('\n').forEach(function (line) {
+		if (line === '')
+			return;
+
+		var fields = line.split('\t');
+		if (!properties[fields[0]])
+			properties[fields[0]] = {};
+		properties[fields[0]][fields[1]] = fields.slice(2).join('\t');
+	});
+
+	return (properties);
+}
+
+/*
+ * Parse the output of `zfs get -o name,property,value,received,source`, as
+ * used by the detailed form of zfs.get.  Each property becomes an object:
+ *
+ *     {
+ *         value: '128K',
+ *         received: null,                  (or the received value)
+ *         source: 'inherited',             (local, default, inherited,
+ *                                           received, temporary or none)
+ *         inheritedFrom: 'zones'           (only for inherited values)
+ *     }
+ *
+ * A tab in the value makes the line ambiguous; it is assumed to belong to the
+ * value rather than the received value.
+ */
+function parsePropertySources(data) {
+	var properties = {};
+
+	data.split('\n').forEach(function (line) {
+		if (line === '')
+			return;
+
+		var fields = line.split('\t');
+		var source = fields[fields.length - 1];
+		var received = fields[fields.length - 2];
+		var prop = {
+			value: fields.slice(2, fields.length - 2).join('\t'),
+			received: (received === '-') ? null : received,
+			source: source
+		};
+		var m = source.match(/^inherited from (.*)$/);
+
+		if (m) {
+			prop.source = 'inherited';
+			prop.inheritedFrom = m[1];
+		} else if (source === '-') {
+			prop.source = 'none';
+		}
+
+		if (!properties[fields[0]])
+			properties[fields[0]] = {};
+		properties[fields[0]][fields[1]] = prop;
+	});
+
+	return (properties);
+}
+
+/*
+ * The types of the properties reported by `zfs list` and `zpool list`, by
+ * both their full and abbreviated names.  These are used to convert parseable
+ * (`-p`) output when the list functions are asked for objects.  Properties
+ * not named here, including guids (which don't fit in a double), are left as
+ * strings.
+ */
+var propertyTypes = {};
+
+[ 'used', 'available', 'avail', 'referenced', 'refer', 'quota', 'refquota',
+    'reservation', 'reserv', 'refreservation', 'refreserv', 'volsize',
+    'volblocksize', 'volblock', 'recordsize', 'recsize', 'usedbysnapshots',
+    'usedsnap', 'usedbydataset', 'usedds', 'usedbychildren', 'usedchild',
+    'usedbyrefreservation', 'usedrefreserv', 'logicalused', 'lused',
+    'logicalreferenced', 'lrefer', 'written', 'size', 'allocated', 'alloc',
+    'free', 'freeing', 'leaked', 'expandsize', 'expandsz', 'checkpoint',
+    'ckpoint' ].forEach(function (p) {
+	propertyTypes[p] = 'bytes';
+});
+
+[ 'creation', 'createtxg', 'userrefs', 'copies', 'filesystem_count',
+    'filesystem_limit', 'snapshot_count', 'snapshot_limit', 'compressratio',
+    'ratio', 'refcompressratio', 'refratio', 'capacity', 'cap',
+    'fragmentation', 'frag', 'dedupratio', 'dedup', 'version',
+    'objsetid' ].forEach(function (p) {
+	propertyTypes[p] = 'number';
+});
+
+[ 'atime', 'devices', 'exec', 'readonly', 'rdonly', 'setuid', 'zoned',
+    'mounted', 'defer_destroy', 'nbmand', 'vscan', 'utf8only', 'overlay',
+    'relatime', 'jailed', 'autoexpand', 'expand', 'autoreplace', 'replace',
+    'delegation', 'listsnapshots', 'listsnaps', 'autotrim',
+    'multihost' ].forEach(function (p) {
+	propertyTypes[p] = 'boolean';
+});
+
+function propertyType(name) {
+	if (propertyTypes.hasOwnProperty(name))
+		return (propertyTypes[name]);
+	if (/^(user|group|project)(used|quota)@|^written@/.test(name))
+		return ('bytes');
+	if (/^(user|group|project)obj(used|quota)@/.test(name))
+		return ('number');
+	return ('string');
+}
+
+/*
+ * Convert one value of parseable output according to its property's type.
+ * Byte counts are returned as BigInts if `options.bigint` is set and the
+ * platform supports them.  Values that don't look like their type (such as
+ * "noauto" for a boolean-ish property) are left alone.
+ */
+function convertValue(name, value, options) {
+	if (value === '-')
+		return (null);
+
+	switch (propertyType(name)) {
+		case 'bytes':
+			if (!/^[0-9]+$/.test(value))
+				return (value);
+			if (options.bigint &&
+			    typeof (global.BigInt) === 'function')
+				return (global.BigInt(value));
+			return (Number(value));
+		case 'number':
+			if (!/^-?[0-9]+(\.[0-9]+)?$/.test(value))
+				return (value);
+			return (Number(value));
+		case 'boolean':
+			if (value === 'on' || value === 'yes')
+				return (true);
+			if (value === 'off' || value === 'no')
+				return (false);
+			return (value);
+		default:
+			return (value);
+	}
+}
+
+/*
+ * Turn the rows returned by the list functions into objects keyed by field
+ * name, converting the values if the output was parseable.
+ */
+function rowsToObjects(fields, rows, options) {
+	return (rows.map(function (row) {
+		var obj = {};
+
+		fields.forEach(function (field, i) {
+			obj[field] = options.parseable ?
+			    convertValue(field, row[i], options) : row[i];
+		});
+
+		return (obj);
+	}));
+}
+
+var zfs;
+exports.zfs = zfs = function () {};
+
+/*
+ * zfs.create(name, [options], callback)
+ *
+ * Create a file system or, if `options.volsize` is given, a volume.  Options:
+ *
+ *     properties  object of properties to set at creation time
+ *                 (`-o property=value`)
+ *     parents     create any missing parent datasets (`-p`)
+ *     volsize     create a volume of this size (`-V`)
+ *     sparse      with `volsize`, don't reserve space for the volume (`-s`)
+ *     blocksize   with `volsize`, the volume's volblocksize (`-b`)
+ *     encryption  the encryption algorithm, e.g. "on" or "aes-256-gcm"
+ *     keyformat   with `encryption`, "passphrase", "hex" or "raw"
+ *     keylocation with `encryption`, "prompt" (the default) or a file:// URI
+ *     key         with a keylocation of "prompt", the passphrase or key
+ *                 material, as a string or Buffer; it's written to the
+ *                 command's stdin, never passed as an argument
+ */
+zfs.create = function (name, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'create' ];
+	if (options.parents)
+		args.push('-p');
+	if (options.volsize !== undefined) {
+		if (options.sparse)
+			args.push('-s');
+		if (options.blocksize !== undefined)
+			args.push('-b', String(options.blocksize));
+		args.push('-V', String(options.volsize));
+	}
+	Object.keys(options.properties || {}).forEach(function (key) {
+		args.push('-o', key + '=' + options.properties[key]);
+	});
+	[ 'encryption', 'keyformat', 'keylocation' ].forEach(function (key) {
+		if (options[key] !== undefined)
+			args.push('-o', key + '=' + options[key]);
+	});
+	args.push(name);
+
+	execWithKey(args, options.key, callback);
+};
+
+/*
+ * Run zfs with `args`, writing `key` (if it's given) to its stdin, which is
+ * where zfs reads key material from when the key location is "prompt" and
+ * stdin isn't a terminal.  Without a key, stdin is closed, so that a prompt
+ * fails at once rather than waiting until the command times out.
+ */
+function execWithKey(args, key, callback) {
+	var child = execFile(exports.paths.zfs, args,
+	    { timeout: timeoutDuration }, function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+
+	// the child may exit without reading stdin; that's reported above
+	child.stdin.on('error', function () {});
+	if (key !== undefined)
+		child.stdin.end(key);
+	else
+		child.stdin.end();
+}
+
+/*
+ * zfs.loadKey(name, [options], callback)
+ *
+ * Load the key of the encryption root `name`, so that it and the datasets
+ * that inherit its key can be mounted.  Options:
+ *
+ *     key          the passphrase or key material, as a string or Buffer,
+ *                  when the key location is "prompt"; it's written to the
+ *                  command's stdin, never passed as an argument
+ *     keylocation  load the key from here instead of the keylocation
+ *                  property (`-L`)
+ *     recursive    also load the keys of encryption roots below `name` (`-r`)
+ *     all          load the keys of every encryption root, instead of `name`
+ *                  (`-a`), which may then be null
+ *     noop         only check that the key is correct (`-n`)
+ */
+zfs.loadKey = function (name, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'load-key' ];
+	if (options.recursive)
+		args.push('-r');
+	if (options.noop)
+		args.push('-n');
+	if (options.keylocation !== undefined)
+		args.push('-L', options.keylocation);
+	args.push(options.all ? '-a' : name);
+
+	execWithKey(args, options.key, callback);
+};
+
+/*
+ * zfs.unloadKey(name, [options], callback)
+ *
+ * Unload the key of the encryption root `name`, once the datasets using it
+ * are unmounted.  With `options.recursive`, the keys of encryption roots
+ * below `name` are unloaded too (`-r`); with `options.all`, every key is
+ * unloaded instead (`-a`).
+ */
+zfs.unloadKey = function (name, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'unload-key' ];
+	if (options.recursive)
+		args.push('-r');
+	args.push(options.all ? '-a' : name);
+
+	execWithKey(args, undefined, callback);
+};
+
+/*
+ * zfs.changeKey(name, [options], callback)
+ *
+ * Change the key of an encrypted dataset, making it an encryption root if it
+ * wasn't one.  Its current key must be loaded.  Options:
+ *
+ *     key          the new passphrase or key material, as a string or
+ *                  Buffer, when the key location is "prompt"; it's written
+ *                  to the command's stdin, never passed as an argument
+ *     keyformat    the new key's format
+ *     keylocation  the new key location
+ *     pbkdf2iters  the number of PBKDF2 iterations for a passphrase
+ *     load         load the key first, if it isn't loaded (`-l`)
+ *     inherit      instead of a new key, inherit the key of the parent's
+ *                  encryption root (`-i`)
+ */
+zfs.changeKey = function (name, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'change-key' ];
+	if (options.load)
+		args.push('-l');
+	if (options.inherit)
+		args.push('-i');
+	[ 'keyformat', 'keylocation', 'pbkdf2iters' ].forEach(function (key) {
+		if (options[key] !== undefined)
+			args.push('-o', key + '=' + options[key]);
+	});
+	args.push(name);
+
+	execWithKey(args, options.key, callback);
+};
+
+/*
+ * zfs.keyStatus([name], callback)
+ *
+ * Call back with the encryption state of `name` and its descendants (by
+ * default, of every file system and volume), one object per dataset:
+ *
+ *     {
+ *         name: 'zones/secret/data',
+ *         encryption: 'aes-256-gcm',      ('off' if it isn't encrypted)
+ *         keystatus: 'available',         ('available' or 'unavailable',
+ *                                          or null if it isn't encrypted)
+ *         encryptionroot: 'zones/secret', (or null)
+ *         keyformat: 'passphrase',        (or null)
+ *         keylocation: 'prompt'           (or null, for datasets that
+ *                                          inherit their key)
+ *     }
+ */
+zfs.keyStatus = function (name, callback) {
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			name     = undefined;
+			break;
+		case 2:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var props = [ 'encryption', 'keystatus', 'encryptionroot', 'keyformat',
+	    'keylocation' ];
+
+	zfs.get(name, props, { parseable: true, recursive: true,
+	    types: [ 'filesystem', 'volume' ] }, function (err, properties) {
+		if (err)
+			return (callback(err));
+
+		return (callback(null, Object.keys(properties).map(
+		    function (dataset) {
+			var record = { name: dataset };
+
+			props.forEach(function (p) {
+				var value = properties[dataset][p];
+				record[p] = (value === undefined ||
+				    value === '-' || value === 'none') ?
+				    null : value;
+			});
+			return (record);
+		})));
+	});
+};
+
+/*
+ * Whether `zfs set` accepts several property assignments at once.  Older
+ * platforms take only one, and treat the rest as dataset names; once that has
+ * been seen, zfs.set() goes straight to setting properties one at a time.
+ */
+var multiPropertySet = true;
+
+/*
+ * zfs.set(name, properties, callback)
+ *
+ * Set all of `properties` on `name` with a single `zfs set`, so that either
+ * all of them are set or, on failure, none are.  On platforms that can only
+ * set one property per invocation, they are set one after the other instead.
+ */
+zfs.set = function (name, properties, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	var keys = Object.keys(properties);
+
+	if (keys.length < 2 || !multiPropertySet) {
+		setEach(name, properties, keys, callback);
+		return;
+	}
+
+	var args = [ 'set' ];
+	keys.forEach(function (key) {
+		args.push(key + '=' + properties[key]);
+	});
+	args.push(name);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (!error)
+			return (callback());
+
+		// old zfs: "cannot open 'b=2': invalid character '=' ..."
+		if (/cannot open '[^']*=[^']*'/.test(stderr)) {
+			multiPropertySet = false;
+			return (setEach(name, properties, keys, callback));
+		}
+
+		return (callback(zfsError(exports.paths.zfs, args, error,
+		    stderr)));
+	});
+};
+
+function setEach(name, properties, keys, callback) {
+	keys = keys.slice();
+
+	// loop over and set all the properties using chained callbacks
+	(function () {
+		var next = arguments.callee;
+		if (!keys.length) {
+			callback();
+			return;
+		}
+		var key = keys.pop();
+
+		var args = [ 'set', key + '=' + properties[key], name ];
+
+		execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+		    function (error, stdout, stderr) {
+			if (error)
+				return (callback(zfsError(exports.paths.zfs,
+				    args, error, stderr)));
+			return (next()); // loop by calling enclosing function
+		});
+	})();
+}
+
+/*
+ * zfs.inherit(name, properties, [options], callback)
+ *
+ * Clear the local value of each of `properties` (a property name or an array
+ * of them) on `name`, so that it is inherited from its parent.  Options:
+ *
+ *     recursive  also clear the property on all descendants (`-r`)
+ *     received   revert to the received value, if there is one, rather
+ *                than the inherited one (`-S`)
+ */
+zfs.inherit = function (name, properties, options, callback) {
+	switch (arguments.length) {
+		case 3:
+			callback = arguments[2];
+			options  = {};
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var keys = Array.isArray(properties) ?
+	    properties.slice() : [ properties ];
+
+	// zfs inherit takes one property per invocation
+	(function next() {
+		if (!keys.length) {
+			callback();
+			return;
+		}
+
+		var args = [ 'inherit' ];
+		if (options.recursive)
+			args.push('-r');
+		if (options.received)
+			args.push('-S');
+		args.push(keys.shift(), name);
+
+		execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+		    function (error, stdout, stderr) {
+			if (error)
+				return (callback(zfsError(exports.paths.zfs,
+				    args, error, stderr)));
+			return (next());
+		});
+	})();
+};
+
+/*
+ * zfs.get(name, propNames, options, callback)
+ *
+ * Get the properties named in the array `propNames` (or all of them, if
+ * `propNames` is 'all') of `name`, or of every dataset if `name` is not
+ * given.  The callback is given an object mapping each dataset name to an
+ * object of its properties' values.  `options` may be a boolean, which is
+ * taken as `parseable`, or an object of:
+ *
+ *     parseable  report exact numeric values (`-p`)
+ *     recursive  also get the properties of descendants (`-r`)
+ *     depth      with `recursive`, descend at most this far (`-d`)
+ *     types      restrict the datasets to these types (`-t`), e.g.
+ *                [ 'filesystem', 'volume' ]
+ *     detailed   report each property as an object with its value, its
+ *                source and its received value, as described at
+ *                parsePropertySources() above
+ */
+zfs.get = function (name, propNames, options, callback) {
+	if (arguments.length != 4)
+		throw Error('Invalid arguments');
+
+	if (typeof (options) !== 'object' || options === null)
+		options = { parseable: options };
+
+	var opts = '-H';
+	if (options.parseable)
+		opts += 'p';
+
+	var argv = [ 'get', opts, '-o', options.detailed ?
+	    'name,property,value,received,source' : 'name,property,value' ];
+	if (options.recursive)
+		argv.push('-r');
+	if (options.depth !== undefined)
+		argv.push('-d', String(options.depth));
+	if (options.types) {
+		argv.push('-t', Array.isArray(options.types) ?
+		    options.types.join(',') : options.types);
+	}
+	argv.push(Array.isArray(propNames) ? propNames.join(',') : propNames);
+	if (name)
+		argv.push(name);
+
+	var stdout = '', stderr = '';
+	var child = spawn(exports.paths.zfs, argv);
+
+	child.stdout.on('data', function (data) {
+		stdout = stdout + data;
+	});
+
+	child.stderr.on('data', function (data) {
+		stderr = stderr + data;
+	});
+
+	var done = false;
+
+	child.on('error', function (error) {
+		if (done)
+			return;
+		done = true;
+		callback(zfsError(exports.paths.zfs, argv, error, stderr));
+	});
+
+	child.on('close', function (code, signal) {
+		if (done)
+			return (null);
+		done = true;
+		if (code !== 0) {
+			return (callback(zfsError(exports.paths.zfs, argv,
+			    { code: code, signal: signal }, stderr)));
+		}
+		return (callback(null, options.detailed ?
+		    parsePropertySources(stdout) : parsePropertyList(stdout)));
+	});
+};
+
+/*
+ * zfs.parsePropertyList(data)
+ * zfs.parsePropertySources(data)
+ *
+ * The parsers zfs.get() uses for the output of `zfs get -H`, without and with
+ * `detailed`; see parsePropertyList() and parsePropertySources() above.
+ */
+zfs.parsePropertyList = parsePropertyList;
+zfs.parsePropertySources = parsePropertySources;
+
+/*
+ * zfs.snapshot(names, [options], callback)
+ *
+ * Take a snapshot, or if `names` is an array, several snapshots at once; they
+ * are created atomically, at the same point in time, even across datasets.
+ * Options:
+ *
+ *     recursive   also snapshot all descendants of each dataset, under the
+ *                 same snapshot name (`-r`)
+ *     properties  object of user properties to set on the snapshots
+ *                 (`-o property=value`)
+ */
+zfs.snapshot = function (names, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'snapshot' ];
+	if (options.recursive)
+		args.push('-r');
+	Object.keys(options.properties || {}).forEach(function (key) {
+		args.push('-o', key + '=' + options.properties[key]);
+	});
+	args = args.concat(names);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+/*
+ * zfs.clone(snapshot, name, [options], callback)
+ *
+ * Create the dataset `name` as a clone of `snapshot`.  Options:
+ *
+ *     properties  object of properties to set at creation time
+ *                 (`-o property=value`)
+ *     parents     create any missing parent datasets (`-p`)
+ */
+zfs.clone = function (snapshot, name, options, callback) {
+	switch (arguments.length) {
+		case 3:
+			callback = arguments[2];
+			options  = {};
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'clone' ];
+	if (options.parents)
+		args.push('-p');
+	Object.keys(options.properties || {}).forEach(function (key) {
+		args.push('-o', key + '=' + options.properties[key]);
+	});
+	args.push(snapshot, name);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+/*
+ * zfs.promote(clone, callback)
+ *
+ * Promote a clone, so that it no longer depends on its origin snapshot.  The
+ * snapshots up to and including the origin move to the clone, and the
+ * dataset the clone was made from becomes a clone of it instead.
+ */
+zfs.promote = function (clone, callback) {
+	if (arguments.length != 2)
+		throw Error('Invalid arguments');
+
+	var args = [ 'promote', clone ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+/*
+ * When a destroy fails because of dependent clones, find out which ones and
+ * attach them to the error as `blockers`, as described at
+ * lineage.computeDestroyPlan().
+ */
+function explainClones(err, name, recursive, callback) {
+	exports.lineage.destroyPlan(name, { recursive: recursive },
+	    function (perr, plan) {
+		if (!perr) {
+			err.blockers = plan.blockers.filter(function (b) {
+				return (b.reason === 'clone');
+			});
+		}
+		callback(err);
+	});
+}
+
+/*
+ * zfs.destroy(name, callback)
+ *
+ * Destroy a file system, volume, snapshot ("zones/data@monday") or bookmark
+ * ("zones/data#monday").  If clones stand in the way, the error's code is
+ * "ECLONED" and its `blockers` name them; if user holds do, it's "EHELD" and
+ * its `holds` list them.
+ */
+zfs.destroy = function (name, callback) {
+	if (arguments.length != 2)
+		throw Error('Invalid arguments');
+
+	var args = [ 'destroy', name ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (!error)
+			return (callback());
+
+		var err = zfsError(exports.paths.zfs, args, error, stderr);
+		if (err.code === 'ECLONED')
+			return (explainClones(err, name, false, callback));
+		if (err.code !== 'EBUSY' || name.indexOf('@') === -1)
+			return (callback(err));
+
+		/*
+		 * A snapshot is also "busy" when it has user holds.  Tell
+		 * callers which holds are in the way, so that they can tell
+		 * that apart from a snapshot that's in use.
+		 */
+		return (zfs.holds(name, function (herr, holds) {
+			if (!herr && holds.length > 0) {
+				err.code = 'EHELD';
+				err.holds = holds;
+			}
+			callback(err);
+		}));
+	});
+};
+
+/*
+ * zfs.destroyAll(name, callback)
+ *
+ * Destroy a dataset and all of its descendants (`-r`), or a snapshot and the
+ * same-named snapshots of all of the dataset's descendants.  This fails if
+ * anything being destroyed has clones outside of it; in that case the error's
+ * code is "ECLONED" and its `blockers` name the clones.
+ */
+zfs.destroyAll = function (name, callback) {
+	if (arguments.length != 2)
+		throw Error('Invalid arguments');
+
+	var args = [ 'destroy', '-r', name ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (!error)
+			return (callback());
+
+		var err = zfsError(exports.paths.zfs, args, error, stderr);
+		if (err.code === 'ECLONED')
+			return (explainClones(err, name, true, callback));
+		return (callback(err));
+	});
+};
+
+/*
+ * zfs.bookmark(snapshot, bookmark, callback)
+ *
+ * Create a bookmark of `snapshot`.  `bookmark` is either a full bookmark name
+ * ("zones/data#monday") or just the part from the "#" on ("#monday"), which
+ * names a bookmark of the snapshot's dataset.  A bookmark can be the `from`
+ * of an incremental zfs.sendStream() after its snapshot has been destroyed,
+ * and is removed with zfs.destroy().
+ */
+zfs.bookmark = function (snapshot, bookmark, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	if (bookmark.charAt(0) === '#')
+		bookmark = snapshot.split('@')[0] + bookmark;
+
+	var args = [ 'bookmark', snapshot, bookmark ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+/*
+ * zfs.hold(tag, snapshots, [options], callback)
+ *
+ * Place a user hold named `tag` on each of `snapshots` (a snapshot name or an
+ * array of them), which keeps them from being destroyed until it is released.
+ * With `options.recursive`, the same-named snapshots of all descendants are
+ * held too (`-r`).
+ */
+zfs.hold = function (tag, snapshots, options, callback) {
+	switch (arguments.length) {
+		case 3:
+			callback = arguments[2];
+			options  = {};
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	holdCommand('hold', tag, snapshots, options, callback);
+};
+
+/*
+ * zfs.release(tag, snapshots, [options], callback)
+ *
+ * Release the user hold named `tag` from each of `snapshots`; the options are
+ * those of zfs.hold().
+ */
+zfs.release = function (tag, snapshots, options, callback) {
+	switch (arguments.length) {
+		case 3:
+			callback = arguments[2];
+			options  = {};
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	holdCommand('release', tag, snapshots, options, callback);
+};
+
+function holdCommand(cmd, tag, snapshots, options, callback) {
+	var args = [ cmd ];
+	if (options.recursive)
+		args.push('-r');
+	args = args.concat([ tag ], snapshots);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+}
+
+/*
+ * zfs.holds(snapshots, [options], callback)
+ *
+ * List the user holds on each of `snapshots` (a snapshot name or an array of
+ * them), or with `options.recursive`, on those and the same-named snapshots
+ * of their descendants (`-r`).  The callback is given an array of holds:
+ *
+ *     { name: 'zones/data@monday', tag: 'backup', timestamp: <Date> }
+ */
+zfs.holds = function (snapshots, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var args = [ 'holds', '-H' ];
+	if (options.recursive)
+		args.push('-r');
+	args = args.concat(snapshots);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback(null, parseHolds(stdout)));
+	});
+};
+
+/*
+ * Parse the output of `zfs holds -H`, which has the tab-separated form:
+ *
+ *     <snapshot name>    <tag>    <timestamp>
+ *
+ * where the timestamp is in local time, e.g. "Mon Oct 19 14:30 2026".
+ */
+function parseHolds(data) {
+	return (parseTabSeperatedTable(data).map(function (row) {
+		return ({
+			name: row[0],
+			tag: row[1],
+			timestamp: new Date(row.slice(2).join('\t'))
+		});
+	}));
+}
+
+/*
+ * The file types reported by `zfs diff -F`.
+ */
+var diffFileTypes = {
+	'F': 'file',
+	'/': 'directory',
+	'@': 'symlink',
+	'B': 'block device',
+	'C': 'character device',
+	'|': 'fifo',
+	'=': 'socket',
+	'>': 'door',
+	'P': 'event port'
+};
+
+/*
+ * `zfs diff` prints any byte in a path that isn't printable ASCII, along with
+ * backslashes and spaces, as a backslash and four octal digits ("\0040" for a
+ * space).  Turn those back into the bytes they stand for and decode the result
+ * as UTF-8.  Three octal digits are accepted too.
+ */
+function decodeDiffPath(str) {
+	var bytes = [];
+	var i = 0;
+	var c, m;
+
+	while (i < str.length) {
+		m = /^\\([0-7]{4}|[0-7]{3})/.exec(str.substr(i, 5));
+		if (m) {
+			bytes.push(parseInt(m[1], 8) & 0xff);
+			i += m[0].length;
+			continue;
+		}
+		c = toBuffer(str.charAt(i));
+		for (var j = 0; j < c.length; j++)
+			bytes.push(c[j]);
+		i++;
+	}
+
+	return (toBuffer(bytes).toString('utf8'));
+}
+
+/*
+ * Buffer.from() where there is one; `new Buffer` is deprecated, but it's all
+ * that older versions of node have (node 4's Buffer.from, inherited from
+ * Uint8Array, doesn't take strings).
+ */
+function toBuffer(value) {
+	if (typeof (Buffer.from) === 'function' &&
+	    Buffer.from !== Uint8Array.from)
+		return (Buffer.from(value));
+	return (new Buffer(value));
+}
+
+/*
+ * Parse a line of `zfs diff -H -F -t` output, which has the tab-separated
+ * form:
+ *
+ *     <time>    <change>    <file type>    <path>    [<new path>]
+ *
+ * where the time is in seconds since the epoch (with nanoseconds), the change
+ * is one of "+" (added), "-" (removed), "M" (modified) or "R" (renamed), and
+ * the new path is only given for renames.  When only a file's link count
+ * changed, the line ends with the change in it instead, as "(+1)" or "(-1)";
+ * that is returned as `linkDelta`.  Without `options.timestamps` (-t) or
+ * `options.fileTypes` (-F), those columns are missing.
+ */
+function parseDiffLine(line, options) {
+	if (line === '')
+		return (undefined);
+
+	var fields = line.split('\t');
+	var record = {};
+	var i = 0;
+	var m;
+
+	if (options.timestamps)
+		record.time = new Date(Math.round(parseFloat(fields[i++]) *
+		    1000));
+	record.change = fields[i++];
+	if (options.fileTypes) {
+		record.type = diffFileTypes[fields[i]] || fields[i];
+		i++;
+	}
+	record.path = decodeDiffPath(fields[i++]);
+
+	if (record.change === 'R' && fields.length > i)
+		record.newPath = decodeDiffPath(fields[i++]);
+
+	m = /^\(([+-]\d+)\)$/.exec(fields[i]);
+	if (m)
+		record.linkDelta = parseInt(m[1], 10);
+
+	return (record);
+}
+
+/*
+ * Fill in the defaults of zfs.diffStream()'s options.
+ */
+function diffOptions(options) {
+	var opts = options || {};
+
+	return ({
+		timestamps: (opts.timestamps !== false),
+		fileTypes: (opts.fileTypes !== false)
+	});
+}
+
+/*
+ * zfs.parseDiff(data, [options])
+ *
+ * Parse the complete output of `zfs diff -H`, by default with -F and -t,
+ * into an array of the records zfs.diffStream() emits.  The options are
+ * those of zfs.diffStream().
+ */
+zfs.parseDiff = function (data, options) {
+	var opts = diffOptions(options);
+
+	return (data.split('\n').filter(function (line) {
+		return (line !== '');
+	}).map(function (line) {
+		return (parseDiffLine(line, opts));
+	}));
+};
+
+/*
+ * zfs.diffStream(snapshot, [other], [options])
+ *
+ * Run `zfs diff` between `snapshot` and `other` (a later snapshot of the same
+ * file system, or the file system itself, which is the default) and return a
+ * stream of objects, one per changed file:
+ *
+ *     {
+ *         time: <Date>,           (when the change was made)
+ *         change: 'R',            ('+', '-', 'M' or 'R')
+ *         type: 'file',           (file, directory, symlink, block device,
+ *                                  character device, fifo, socket, door or
+ *                                  event port)
+ *         path: '/zones/data/a',
+ *         newPath: '/zones/data/b'   (only for renames)
+ *     }
+ *
+ * A change that is only to a file's link count has `change` 'M' and a
+ * `linkDelta` of 1 or -1 instead.
+ *
+ * Options:
+ *
+ *     timestamps  include each change's `time` (`-t`), true by default
+ *     fileTypes   include each file's `type` (`-F`), true by default
+ *
+ * The stream emits 'error' with a ZfsError if `zfs diff` fails.
+ */
+zfs.diffStream = function (snapshot, other, options) {
+	if (typeof (other) === 'object' && other !== null) {
+		options = other;
+		other = undefined;
+	}
+
+	var opts = diffOptions(options);
+	var args = [ 'diff', '-H' ];
+	if (opts.fileTypes)
+		args.push('-F');
+	if (opts.timestamps)
+		args.push('-t');
+	args.push(snapshot);
+	if (other)
+		args.push(other);
+
+	return (spawnParser(exports.paths.zfs, args, function (line) {
+		return (parseDiffLine(line, opts));
+	}));
+};
+
+/*
+ * zfs.diff(snapshot, [other], [options], callback)
+ *
+ * Call back with an array of all the changes zfs.diffStream() would emit.
+ * The options are those of zfs.diffStream().
+ */
+zfs.diff = function (snapshot, other, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			other    = undefined;
+			options  = undefined;
+			break;
+		case 3:
+			callback = arguments[2];
+			if (typeof (other) === 'object' && other !== null) {
+				options = other;
+				other   = undefined;
+			} else {
+				options = undefined;
+			}
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	collect(zfs.diffStream(snapshot, other, options), callback);
+};
+
+/*
+ * zfs.list fields
+ */
+
+zfs.listFields_ = [ 'name', 'used', 'avail', 'refer', 'type', 'mountpoint' ];
+
+/*
+ * The default fields when listing bookmarks, which have no space accounting
+ * or mountpoint of their own.
+ */
+zfs.bookmarkFields_ = [ 'name', 'guid', 'createtxg', 'creation' ];
+
+/*
+ * List datasets.
+ *
+ * @param {String} [name]
+ *   Dataset to list. If name is not given, `list` defaults to returning all
+ *   datasets.
+ *
+ * @param {Object} [options]
+ *   Options object:
+ *     - `type`: restrict dataset type (filesystem, volume, snapshot,
+ *       bookmark or all)
+ *     - `recursive`: also list descendants of `name`
+ *     - `depth`: list descendants at most this far below `name`
+ *     - `fields`: the properties to list, by default zfs.listFields_, or
+ *       zfs.bookmarkFields_ when listing only bookmarks
+ *     - `parseable`: report exact numeric values
+ *     - `objects`: return one object per dataset, keyed by field name,
+ *       instead of an array of values.  With `parseable`, numeric properties
+ *       become numbers, on/off and yes/no properties become booleans, and
+ *       "-" becomes null.
+ *     - `bigint`: with `objects` and `parseable`, return byte counts as
+ *       BigInts
+ *
+ * @param {Function} [callback]
+ *   Call `callback` when done. Function will be called with an error
+ *   parameter, a field names list and a array of arrays (or of objects)
+ *   comprising the list information.
+ *
+ */
+
+zfs.list = function () {
+	var dataset, callback,
+	    options = {};
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			break;
+		case 2:
+			dataset  = arguments[0];
+			callback = arguments[1];
+			break;
+		case 3:
+			dataset  = arguments[0];
+			options  = arguments[1];
+			callback = arguments[2];
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	options.type      = options.type || 'filesystem';
+	options.recursive = options.recursive || false;
+	options.fields    = options.fields || (options.type === 'bookmark' ?
+	    zfs.bookmarkFields_ : zfs.listFields_);
+	options.parseable = options.parseable || false;
+
+	var args = [ 'list', '-H', '-o', options.fields.join(','),
+	    '-t', options.type ];
+	if (options.recursive) args.push('-r');
+	if (options.depth !== undefined)
+		args.push('-d', String(options.depth));
+	if (options.parseable) args.push('-p');
+	if (dataset) args.push(dataset);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		var rows = parseTabSeperatedTable(stdout);
+		if (options.objects)
+			rows = rowsToObjects(options.fields, rows, options);
+		return (callback(null, options.fields, rows));
+	});
+};
+
+/*
+ * Build the `zfs send` arguments for zfs.sendStream().
+ */
+function sendArgs(snapshot, options) {
+	var args = [ 'send' ];
+
+	if (options.replicate)
+		args.push('-R');
+	if (options.props)
+		args.push('-p');
+	if (options.raw)
+		args.push('-w');
+	if (options.compressed)
+		args.push('-c');
+	if (options.largeBlock)
+		args.push('-L');
+	if (options.embed)
+		args.push('-e');
+
+	if (options.resumeToken) {
+		args.push('-t', options.resumeToken);
+		return (args);
+	}
+
+	if (options.from)
+		args.push(options.intermediary ? '-I' : '-i', options.from);
+	args.push(snapshot);
+
+	return (args);
+}
+
+/*
+ * zfs.sendStream(snapshot, [options])
+ *
+ * Run `zfs send` and return a readable stream of its output.  Options:
+ *
+ *     from          send an incremental stream from this snapshot or
+ *                   bookmark ("zones/data#monday") (`-i`)
+ *     intermediary  with `from`, include all intermediate snapshots (`-I`);
+ *                   `from` must then be a snapshot
+ *     replicate     send a replication stream of the dataset and its
+ *                   descendants (`-R`)
+ *     props         include dataset properties (`-p`)
+ *     raw           send encrypted data as-is (`-w`)
+ *     compressed    send compressed blocks as they are on disk (`-c`)
+ *     largeBlock    allow blocks larger than 128k (`-L`)
+ *     embed         send embedded data blocks as such (`-e`)
+ *     resumeToken   resume an interrupted send using the target's
+ *                   receive_resume_token (`-t`); `snapshot` is ignored
+ *
+ * The stream ends once `zfs send` exits successfully.  If it fails, the
+ * stream emits 'error' with a ZfsError carrying its stderr instead.  The child
+ * process is available as `stream.child`, so that callers can kill it if
+ * whatever is consuming the stream fails.
+ */
+zfs.sendStream = function (snapshot, options) {
+	var args = sendArgs(snapshot, options || {});
+	var stream = new PassThrough();
+	var stderr = '';
+	var done = false;
+	var child = spawn(exports.paths.zfs, args,
+	    { stdio: [ 'ignore', 'pipe', 'pipe' ] });
+
+	function finish(error) {
+		if (done)
+			return;
+		done = true;
+		if (error)
+			stream.emit('error', error);
+		else
+			stream.end();
+	}
+
+	stream.child = child;
+	child.stdout.pipe(stream, { end: false });
+
+	child.stderr.on('data', function (data) {
+		stderr = stderr + data;
+	});
+
+	child.on('error', function (error) {
+		finish(zfsError(exports.paths.zfs, args, error, stderr));
+	});
+
+	child.on('close', function (code, signal) {
+		if (code !== 0) {
+			finish(zfsError(exports.paths.zfs, args,
+			    { code: code, signal: signal }, stderr));
+			return;
+		}
+		finish();
+	});
+
+	return (stream);
+};
+
+/*
+ * zfs.send(snapshot, filename, [options], callback)
+ *
+ * Write a send stream of `snapshot` to `filename`.  The options are those of
+ * zfs.sendStream().  If the send fails, what was written of the file is
+ * removed, so that it isn't mistaken for a complete stream.
+ */
+zfs.send = function (snapshot, filename, options, callback) {
+	var stream, file;
+	var done = false;
+	var opened = false;
+
+	switch (arguments.length) {
+		case 3:
+			callback = arguments[2];
+			options  = {};
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	function finish(error) {
+		if (done)
+			return;
+		done = true;
+		if (error) {
+			if (stream)
+				stream.child.kill();
+			file.destroy();
+			if (!opened) {
+				callback(error);
+				return;
+			}
+			fs.unlink(filename, function () {
+				callback(error);
+			});
+			return;
+		}
+		callback();
+	}
+
+	file = fs.createWriteStream(filename, { mode: parseInt('0400', 8) });
+	file.on('error', finish);
+	file.on('open', function () {
+		opened = true;
+		stream = zfs.sendStream(snapshot, options);
+		stream.on('error', finish);
+		stream.pipe(file);
+		file.on('close', function () {
+			finish();
+		});
+	});
+};
+
+/*
+ * Build the `zfs receive` arguments for zfs.receiveStream().
+ */
+function receiveArgs(name, options) {
+	var args = [ 'receive' ];
+
+	if (options.force)
+		args.push('-F');
+	if (options.resumable)
+		args.push('-s');
+	if (options.noMount)
+		args.push('-u');
+	if (options.discardFirst)
+		args.push('-d');
+	if (options.lastElement)
+		args.push('-e');
+
+	Object.keys(options.properties || {}).forEach(function (key) {
+		args.push('-o', key + '=' + options.properties[key]);
+	});
+	(options.exclude || []).forEach(function (key) {
+		args.push('-x', key);
+	});
+
+	args.push(name);
+
+	return (args);
+}
+
+/*
+ * zfs.receiveStream(name, [options], [callback])
+ *
+ * Run `zfs receive` into `name` and return a writable stream that feeds it.
+ * Options:
+ *
+ *     force         roll back the target to its most recent snapshot, and
+ *                   destroy snapshots not in the stream if needed (`-F`)
+ *     resumable     keep the partially received state if the receive is
+ *                   interrupted, so that it can be resumed (`-s`)
+ *     noMount       do not mount the received file system (`-u`)
+ *     properties    object of properties to set on the received dataset
+ *                   (`-o property=value`)
+ *     exclude       array of properties to leave unset, so that they are
+ *                   inherited (`-x property`)
+ *     discardFirst  name the received dataset after the sent one, minus
+ *                   its pool name, beneath `name` (`-d`)
+ *     lastElement   name the received dataset after the last element of
+ *                   the sent one, beneath `name` (`-e`)
+ *     source        a readable stream to pipe into the receive; if it fails,
+ *                   the receive is killed and fails with its error
+ *
+ * When `zfs receive` has exited, `callback` is invoked with a ZfsError if it
+ * failed.  If the receive was resumable, that error's `resumeToken` is the
+ * token to pass as the `resumeToken` option to zfs.sendStream() to resume it.
+ * Without a callback, the stream instead emits 'error' on failure or 'done'
+ * on success.  The child process is available as `stream.child`.
+ */
+zfs.receiveStream = function (name, options, callback) {
+	if (typeof (options) === 'function') {
+		callback = options;
+		options = {};
+	}
+	options = options || {};
+
+	var args = receiveArgs(name, options);
+	var stream = new PassThrough();
+	var stderr = '';
+	var done = false;
+	var child = spawn(exports.paths.zfs, args,
+	    { stdio: [ 'pipe', 'ignore', 'pipe' ] });
+
+	function finish(error) {
+		if (done)
+			return;
+		done = true;
+		if (options.source)
+			options.source.unpipe(stream);
+		if (callback)
+			callback(error);
+		else if (error)
+			stream.emit('error', error);
+		else
+			stream.emit('done');
+	}
+
+	function failed(error) {
+		var m = stderr.match(/zfs send -t (\S+)/);
+
+		if (m) {
+			error.resumeToken = m[1];
+			finish(error);
+			return;
+		}
+		if (!options.resumable || options.discardFirst ||
+		    options.lastElement) {
+			finish(error);
+			return;
+		}
+		zfs.resumeToken(name, function (err, token) {
+			if (!err && token)
+				error.resumeToken = token;
+			finish(error);
+		});
+	}
+
+	stream.child = child;
+	stream.pipe(child.stdin);
+
+	if (options.source) {
+		options.source.on('error', function (error) {
+			child.kill();
+			finish(error);
+		});
+	}
+
+	// a receive that fails early closes stdin; that's reported below
+	child.stdin.on('error', function () {});
+
+	child.stderr.on('data', function (data) {
+		stderr = stderr + data;
+	});
+
+	child.on('error', function (error) {
+		finish(zfsError(exports.paths.zfs, args, error, stderr));
+	});
+
+	child.on('close', function (code, signal) {
+		if (code !== 0) {
+			failed(zfsError(exports.paths.zfs, args,
+			    { code: code, signal: signal }, stderr));
+			return;
+		}
+		finish();
+	});
+
+	if (options.source)
+		options.source.pipe(stream);
+
+	return (stream);
+};
+
+/*
+ * zfs.receive(name, filename, [options], callback)
+ *
+ * Receive the send stream stored in `filename` into `name`.  The options are
+ * those of zfs.receiveStream().
+ */
+zfs.receive = function (name, filename, options, callback) {
+	var file, opts = {};
+
+	switch (arguments.length) {
+		case 3:
+			callback = arguments[2];
+			options  = {};
+			break;
+		case 4:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	Object.keys(options).forEach(function (key) {
+		opts[key] = options[key];
+	});
+
+	/*
+	 * Until the file is open, there is no receive to report its errors;
+	 * after that, zfs.receiveStream() does so.
+	 */
+	function openFailed(error) {
+		callback(error);
+	}
+
+	file = fs.createReadStream(filename);
+	file.on('error', openFailed);
+	file.on('open', function () {
+		file.removeListener('error', openFailed);
+		opts.source = file;
+		zfs.receiveStream(name, opts, function (error) {
+			file.destroy();
+			callback(error);
+		});
+	});
+};
+
+/*
+ * zfs.resumeToken(name, callback)
+ *
+ * Call back with the receive_resume_token of `name`, or null if there is no
+ * interrupted resumable receive into it.
+ */
+zfs.resumeToken = function (name, callback) {
+	if (arguments.length != 2)
+		throw Error('Invalid arguments');
+
+	var args = [ 'get', '-H', '-o', 'value', 'receive_resume_token', name ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		var token = stdout.trim();
+		return (callback(null, (token === '-' || token === '') ?
+		    null : token));
+	});
+};
+
+/*
+ * zfs.abortReceive(name, callback)
+ *
+ * Discard the partially received state of an interrupted resumable receive
+ * into `name` (`zfs receive -A`).
+ */
+zfs.abortReceive = function (name, callback) {
+	if (arguments.length != 2)
+		throw Error('Invalid arguments');
+
+	var args = [ 'receive', '-A', name ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+/*
+ * List snapshots, of `snapshot` if it is given or else of every dataset.  The
+ * options are `fields`, `parseable`, `objects` and `bigint`, as for
+ * zfs.list().
+ */
+zfs.list_snapshots = function () {
+	var snapshot, callback,
+	    options = {};
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			break;
+		case 2:
+			snapshot = arguments[0];
+			callback = arguments[1];
+			break;
+		case 3:
+			snapshot = arguments[0];
+			options  = arguments[1];
+			callback = arguments[2];
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	options.fields = options.fields || zfs.listFields_;
+
+	var args = [ 'list', '-H', '-o', options.fields.join(','),
+	    '-t', 'snapshot' ];
+	if (options.parseable) args.push('-p');
+	if (snapshot) args.push(snapshot);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		var rows = parseTabSeperatedTable(stdout);
+		if (options.objects)
+			rows = rowsToObjects(options.fields, rows, options);
+		return (callback(null, options.fields, rows));
+	});
+};
+
+/*
+ * zfs.listSnapshotsOf(dataset, [options], callback)
+ *
+ * List the snapshots of `dataset` itself, not of its descendants, and with
+ * `options.bookmarks`, its bookmarks too.  `options.fields` are the
+ * properties to list, by default name, guid and createtxg, and the rows are
+ * objects parsed as zfs.list() does with `parseable` and `objects`.
+ *
+ * This lists to a depth of one (`-d 1`), which takes in the dataset's own
+ * snapshots but none of its descendants', as without -r or -d, some versions
+ * of zfs list no snapshots for a file system.
+ */
+zfs.listSnapshotsOf = function () {
+	var dataset, callback,
+	    options = {};
+	switch (arguments.length) {
+		case 2:
+			dataset  = arguments[0];
+			callback = arguments[1];
+			break;
+		case 3:
+			dataset  = arguments[0];
+			options  = arguments[1];
+			callback = arguments[2];
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var fields = options.fields || [ 'name', 'guid', 'createtxg' ];
+	if (fields.indexOf('name') === -1)
+		fields = [ 'name' ].concat(fields);
+
+	zfs.list(dataset, {
+		type: options.bookmarks ? 'snapshot,bookmark' : 'snapshot',
+		depth: 1,
+		fields: fields,
+		parseable: true,
+		objects: true
+	}, callback);
+};
+
+zfs.rollback = function (name, callback) {
+	if (arguments.length != 2)
+		throw Error('Invalid arguments');
+
+	var args = [ 'rollback', '-r', name ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+zfs.rename = function (name, newname, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	var args = [ 'rename', name, newname ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+zfs.upgrade = function (name, version, callback) {
+	if (arguments.length === 2) {
+		callback = arguments[1];
+	} else if (arguments.length === 3) {
+		version = arguments[1];
+		callback = arguments[2];
+	} else {
+		throw Error('Invalid arguments');
+	}
+
+	name = arguments[0];
+
+	var args = [ 'upgrade' ];
+	if (version !== -1)
+		args.push(' -V ' + version);
+	args.push(name);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback(null));
+	});
+};
+
+/*
+ * Build the arguments of `zfs allow` or `zfs unallow` for zfs.allow() and
+ * zfs.unallow().
+ */
+function allowArgs(cmd, dataset, options) {
+	var args = [ cmd ];
+	var perms = [].concat(options.permissions || []);
+	var targets = [ 'users', 'groups', 'everyone', 'create', 'set' ]
+	    .filter(function (k) {
+		return (options[k]);
+	});
+
+	if (targets.length !== 1)
+		throw Error('Invalid arguments');
+	if (cmd === 'allow' && perms.length === 0)
+		throw Error('Invalid arguments');
+
+	if (options.recursive)
+		args.push('-r');
+
+	if (options.set) {
+		args.push('-s', options.set.charAt(0) === '@' ?
+		    options.set : '@' + options.set);
+	} else if (options.create) {
+		args.push('-c');
+	} else {
+		if (options.local)
+			args.push('-l');
+		if (options.descendant)
+			args.push('-d');
+		if (options.everyone)
+			args.push('-e');
+		else if (options.users)
+			args.push('-u', [].concat(options.users).join(','));
+		else
+			args.push('-g', [].concat(options.groups).join(','));
+	}
+
+	if (perms.length > 0)
+		args.push(perms.join(','));
+	args.push(dataset);
+
+	return (args);
+}
+
+/*
+ * zfs.allow(dataset, options, callback)
+ *
+ * Delegate permissions on `dataset` to users who aren't root.  The options
+ * say what to grant to whom:
+ *
+ *     permissions  the permissions and permission sets to grant, e.g.
+ *                  [ 'snapshot', 'send', '@backup' ]
+ *     users        a user or array of users to grant them to (`-u`)
+ *     groups       a group or array of groups to grant them to (`-g`)
+ *     everyone     grant them to everyone (`-e`)
+ *     create       grant them to whoever creates a descendant of `dataset`,
+ *                  on what they create (`-c`)
+ *     set          define the permission set of this name ("@backup")
+ *                  instead, as the given permissions (`-s`)
+ *     local        with users, groups or everyone, grant them on `dataset`
+ *                  only (`-l`)
+ *     descendant   with users, groups or everyone, grant them on the
+ *                  descendants of `dataset` only (`-d`)
+ *
+ * Exactly one of users, groups, everyone, create or set must be given.
+ * Without local or descendant, permissions apply to `dataset` and its
+ * descendants alike.
+ */
+zfs.allow = function (dataset, options, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	var args = allowArgs('allow', dataset, options);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
+	});
+};
+
+/*
+ * zfs.unallow(dataset, options, callback)
+ *
+ * Revoke permissions granted by zfs.allow(), which takes the same options.
+ * Without `permissions`, everything granted to the given users, groups,
+ * everyone, creators or set is revoked.  With `options.recursive`, they're
+ * also revoked from the descendants of `dataset` (`-r`).
+ */
+zfs.unallow = function (dataset, options, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	var args = allowArgs('unallow', dataset, options);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(zfsError(error, stderr)));
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
 		return (callback());
 	});
 };
 
-zfs.destroy = function (name, callback) {
-	if (arguments.length != 2)
-		throw Error('Invalid arguments');
+/*
+ * The headings of `zfs allow` output, and where parseAllow() puts what's
+ * listed under them.
+ */
+var allowSections = [
+	[ /^Permission sets:/, 'sets' ],
+	[ /^Create time permissions:/, 'create' ],
+	[ /^Local permissions:/, 'local' ],
+	[ /^Descendent permissions:/, 'descendant' ],
+	[ /^Local\+Descendent permissions:/, 'localDescendant' ]
+];
+
+function emptyGrants() {
+	return ({ users: {}, groups: {}, everyone: [] });
+}
+
+/*
+ * zfs.parseAllow(data)
+ *
+ * Parse the output of `zfs allow <dataset>`, which lists the permissions
+ * delegated on the dataset and on each of its ancestors, into an object
+ * keyed by the name of the dataset they were granted on:
+ *
+ *     {
+ *         'zones/data': {
+ *             sets: { '@backup': [ 'hold', 'send', 'snapshot' ] },
+ *             create: [ 'create', 'destroy', 'mount' ],
+ *             local: {
+ *                 users: { alice: [ 'snapshot' ] },
+ *                 groups: { staff: [ 'mount' ] },
+ *                 everyone: []
+ *             },
+ *             descendant: { users: ..., groups: ..., everyone: ... },
+ *             localDescendant: { users: ..., groups: ..., everyone: ... }
+ *         },
+ *         'zones': { ... }
+ *     }
+ */
+zfs.parseAllow = function (data) {
+	var result = {};
+	var current = null;
+	var section = null;
+
+	data.split('\n').forEach(function (line) {
+		var m = line.match(/^-+ Permissions on (\S+) -*$/);
+		var trimmed = line.trim();
+		var words;
+
+		if (m) {
+			current = result[m[1]] = {
+				sets: {},
+				create: [],
+				local: emptyGrants(),
+				descendant: emptyGrants(),
+				localDescendant: emptyGrants()
+			};
+			section = null;
+			return;
+		}
 
-	execFile(exports.paths.zfs, ['destroy', name],
-	    { timeout: timeoutDuration },
-	    function (error, stdout, stderr) {
-		if (error)
-			return (callback(zfsError(error, stderr)));
-		return (callback());
+		for (var i = 0; i < allowSections.length; i++) {
+			if (allowSections[i][0].test(trimmed)) {
+				section = allowSections[i][1];
+				return;
+			}
+		}
+
+		if (current === null || section === null || trimmed === '')
+			return;
+
+		words = trimmed.split(/\s+/);
+		if (section === 'create') {
+			current.create = current.create.concat(
+			    words[0].split(','));
+		} else if (section === 'sets') {
+			current.sets[words[0]] = words[1].split(',');
+		} else if (words[0] === 'everyone') {
+			current[section].everyone = words[1].split(',');
+		} else if (words[0] === 'user' || words[0] === 'group') {
+			current[section][words[0] + 's'][words[1]] =
+			    words[2].split(',');
+		}
 	});
+
+	return (result);
 };
 
-zfs.destroyAll = function (name, callback) {
+/*
+ * zfs.permissions(dataset, callback)
+ *
+ * Call back with the permissions delegated on `dataset` and its ancestors,
+ * as returned by zfs.parseAllow().
+ */
+zfs.permissions = function (dataset, callback) {
 	if (arguments.length != 2)
 		throw Error('Invalid arguments');
 
-	execFile(exports.paths.zfs, ['destroy', '-r',  name],
-	    { timeout: timeoutDuration },
+	var args = [ 'allow', dataset ];
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(zfsError(error, stderr)));
-		return (callback());
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback(null, zfs.parseAllow(stdout)));
 	});
 };
 
 /*
- * zfs.list fields
+ * The default fields of zfs.userspace(), zfs.groupspace() and
+ * zfs.projectspace().  objused and objquota are also available on platforms
+ * that track object counts.
  */
+zfs.spaceFields_ = [ 'type', 'name', 'used', 'quota' ];
 
-zfs.listFields_ = [ 'name', 'used', 'avail', 'refer', 'type', 'mountpoint' ];
+/*
+ * zfs.parseSpace(data, [fields], [options])
+ *
+ * Parse the output of `zfs userspace -H -p` (or groupspace or projectspace)
+ * with the given fields, by default zfs.spaceFields_, into one object per
+ * row, as described at zfs.userspace().  Space and object counts become
+ * numbers, and an unset quota becomes null.  With `options.bigint`, space
+ * (used and quota) is given as BigInts.  Numeric names, which are reported
+ * for IDs that don't map to a name, are also given as `id`.
+ */
+zfs.parseSpace = function (data, fields, options) {
+	return (parseSpace(data, fields || zfs.spaceFields_, options || {}));
+};
+
+function parseSpace(data, fields, options) {
+	var bigint = options.bigint && typeof (global.BigInt) === 'function';
+
+	return (parseTabSeperatedTable(data).map(function (row) {
+		var record = {};
+
+		fields.forEach(function (field, i) {
+			var value = row[i];
+
+			if (field !== 'type' && field !== 'name') {
+				if (value === '-' || value === 'none')
+					value = null;
+				else if (/^[0-9]+$/.test(value) && bigint &&
+				    (field === 'used' || field === 'quota'))
+					value = global.BigInt(value);
+				else if (/^[0-9]+$/.test(value))
+					value = Number(value);
+			}
+			record[field] = value;
+		});
+
+		if (record.name !== undefined)
+			record.id = /^[0-9]+$/.test(record.name) ?
+			    Number(record.name) : null;
+
+		return (record);
+	}));
+}
+
+function spaceCommand(cmd, dataset, options, callback) {
+	var fields = options.fields || zfs.spaceFields_;
+	var projectType = false;
+	var args = [ cmd, '-H', '-p', '-o' ];
+
+	// projectspace has no type column; every row is a project
+	if (cmd === 'projectspace' && fields.indexOf('type') !== -1) {
+		projectType = true;
+		fields = fields.filter(function (f) {
+			return (f !== 'type');
+		});
+	}
+	args.push(fields.join(','));
+	if (options.types)
+		args.push('-t', [].concat(options.types).join(','));
+	if (options.numeric)
+		args.push('-n');
+	args.push(dataset);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+
+		var records = parseSpace(stdout, fields, options);
+		if (projectType) {
+			records.forEach(function (r) {
+				r.type = 'Project';
+			});
+		}
+		return (callback(null, records));
+	});
+}
 
 /*
- * List datasets.
+ * zfs.userspace(dataset, [options], callback)
+ * zfs.groupspace(dataset, [options], callback)
+ * zfs.projectspace(dataset, [options], callback)
  *
- * @param {String} [name]
- *   Dataset to list. If name is not given, `list` defaults to returning all
- *   datasets.
+ * Call back with the space used by, and the quota of, each user, group or
+ * project that owns files in `dataset` (a file system or snapshot):
  *
- * @param {Object} [options]
- *   Options object:
- *     - `type`: restrict dataset type (dataset, volume, snapshot or all)
+ *     {
+ *         type: 'POSIX User',     ('POSIX User', 'POSIX Group', 'SMB User',
+ *                                  'SMB Group' or 'Project')
+ *         name: 'alice',
+ *         id: null,               (the ID, if it's reported as a number)
+ *         used: 1048576,
+ *         quota: null             (null if there is none)
+ *     }
  *
- * @param {Function} [callback]
- *   Call `callback` when done. Function will be called with an error
- *   parameter, a field names list and a array of arrays comprising the list
- *   information.
+ * Options:
  *
+ *     fields   the fields to report, by default zfs.spaceFields_
+ *     types    with userspace or groupspace, the types of identity to report,
+ *              e.g. [ 'posixuser', 'smbuser' ] or 'all' (`-t`)
+ *     numeric  report IDs rather than names (`-n`)
+ *     bigint   give space as BigInts, for sizes beyond 2^53 bytes
  */
+zfs.userspace = function (dataset, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
 
-zfs.list = function () {
-	var dataset, callback,
-	    options = {};
+	spaceCommand('userspace', dataset, options, callback);
+};
+
+zfs.groupspace = function (dataset, options, callback) {
 	switch (arguments.length) {
-		case 1:
-			callback = arguments[0];
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
 			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	spaceCommand('groupspace', dataset, options, callback);
+};
+
+zfs.projectspace = function (dataset, options, callback) {
+	switch (arguments.length) {
 		case 2:
-			dataset  = arguments[0];
 			callback = arguments[1];
+			options  = {};
 			break;
 		case 3:
-			dataset  = arguments[0];
-			options  = arguments[1];
-			callback = arguments[2];
 			break;
 		default:
 			throw Error('Invalid arguments');
 	}
 
-	options.type      = options.type || 'filesystem';
-	options.recursive = options.recursive || false;
-	options.fields    = options.fields || zfs.listFields_;
-	options.parseable = options.parseable || false;
+	spaceCommand('projectspace', dataset, options, callback);
+};
 
-	var args = [ 'list', '-H', '-o', options.fields.join(','),
-	    '-t', options.type ];
-	if (options.recursive) args.push('-r');
-	if (options.parseable) args.push('-p');
-	if (dataset) args.push(dataset);
+/*
+ * Set the `prefix`@<who> property of `dataset` for each key of `quotas` with
+ * a single zfs.set(), so that they're all applied or none are.  A null quota
+ * removes it.
+ */
+function setQuotas(prefix, dataset, quotas, callback) {
+	var properties = {};
 
-	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
-	    function (error, stdout, stderr) {
-		if (error)
-			return (callback(zfsError(error, stderr)));
-		var rows = parseTabSeperatedTable(stdout);
-		return (callback(null, options.fields, rows));
+	Object.keys(quotas).forEach(function (who) {
+		var quota = quotas[who];
+		properties[prefix + '@' + who] = (quota === null ||
+		    quota === undefined) ? 'none' : quota;
 	});
+
+	zfs.set(dataset, properties, callback);
+}
+
+/*
+ * zfs.setUserQuota(dataset, quotas, callback)
+ * zfs.setGroupQuota(dataset, quotas, callback)
+ * zfs.setUserObjQuota(dataset, quotas, callback)
+ * zfs.setProjectQuota(dataset, quotas, callback)
+ *
+ * Set the userquota@, groupquota@, userobjquota@ or projectquota@ properties
+ * of `dataset`.  `quotas` maps user or group names (or numeric IDs, and
+ * project IDs) to quotas, e.g. { alice: '10G', 1001: 1073741824, bob: null },
+ * where null removes a quota.  All of them are set at once.
+ */
+zfs.setUserQuota = function (dataset, quotas, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	setQuotas('userquota', dataset, quotas, callback);
 };
 
-zfs.send = function (snapshot, filename, callback) {
-	fs.open(filename, 'w', 400, function (error, fd) {
-		if (error)
-			return (callback(error));
-		// set the child to write to STDOUT with `fd`
-		var child = spawn(exports.paths.zfs,
-		    [ 'send', snapshot ], undefined, [ -1, fd ]);
-		child.addListener('exit', function (code) {
-			if (code) {
-				callback(new Error('Return code was ' + code));
-				return;
-			}
-			fs.close(fd, function () {
-				callback();
-			});
-		});
+zfs.setGroupQuota = function (dataset, quotas, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
 
-		return (null);
-	});
+	setQuotas('groupquota', dataset, quotas, callback);
 };
 
-zfs.receive = function (name, filename, callback) {
-	fs.open(filename, 'r', 400, function (error, fd) {
-		if (error)
-			return (callback(error));
-		// set the child to read from STDIN with `fd`
-		var child = spawn(exports.paths.zfs,
-		    [ 'receive', name ], undefined, [ fd ]);
-		child.addListener('exit', function (code) {
-			if (code) {
-				return (callback(new Error(
-				    'Return code was ' + code)));
-			}
-			fs.close(fd, function () {
-				return (callback());
-			});
+zfs.setUserObjQuota = function (dataset, quotas, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
 
-			return (null);
-		});
+	setQuotas('userobjquota', dataset, quotas, callback);
+};
 
-		return (null);
+zfs.setProjectQuota = function (dataset, quotas, callback) {
+	if (arguments.length != 3)
+		throw Error('Invalid arguments');
+
+	setQuotas('projectquota', dataset, quotas, callback);
+};
+
+/*
+ * Run `zfs <cmd>` on `name`, or with `options.all` on every dataset (`-a`),
+ * with `flags` ahead of it.
+ */
+function mountCommand(cmd, flags, name, options, callback) {
+	var args = [ cmd ].concat(flags);
+	if (options.all)
+		args.push('-a');
+	else
+		args.push(name);
+
+	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
+	    function (error, stdout, stderr) {
+		if (error)
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+		return (callback());
 	});
+}
+
+/*
+ * zfs.mount(name, [options], callback)
+ *
+ * Mount the file system `name`.  Options:
+ *
+ *     all       mount every file system that can be mounted, instead of
+ *               `name` (`-a`), which may then be null
+ *     overlay   mount over a non-empty directory (`-O`)
+ *     options   mount options for this mount only, as a string or array,
+ *               e.g. [ 'ro' ] (`-o`)
+ */
+zfs.mount = function (name, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	var flags = [];
+	if (options.overlay)
+		flags.push('-O');
+	if (options.options)
+		flags.push('-o', [].concat(options.options).join(','));
+
+	mountCommand('mount', flags, name, options, callback);
 };
 
-zfs.list_snapshots = function () {
-	var snapshot, callback;
+/*
+ * zfs.unmount(name, [options], callback)
+ *
+ * Unmount the file system `name`, which may also be given as its mountpoint.
+ * With `options.force`, it's unmounted even if it's in use (`-f`); with
+ * `options.all`, every mounted file system is unmounted instead (`-a`).
+ */
+zfs.unmount = function (name, options, callback) {
 	switch (arguments.length) {
-		case 1:
-			callback = arguments[0];
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
 			break;
+		default:
+			throw Error('Invalid arguments');
+	}
+
+	mountCommand('unmount', options.force ? [ '-f' ] : [], name, options,
+	    callback);
+};
+
+/*
+ * zfs.share(name, [options], callback)
+ * zfs.unshare(name, [options], callback)
+ *
+ * Share or unshare the file system `name` according to its sharenfs and
+ * sharesmb properties, or with `options.all`, every file system (`-a`).
+ */
+zfs.share = function (name, options, callback) {
+	switch (arguments.length) {
 		case 2:
-			snapshot = arguments[0];
 			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
 			break;
 		default:
 			throw Error('Invalid arguments');
 	}
-	var args = ['list', '-H', '-t', 'snapshot'];
-	if (snapshot) args.push(snapshot);
 
-	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
-	    function (error, stdout, stderr) {
-		if (error)
-			return (callback(zfsError(error, stderr)));
-		var rows = parseTabSeperatedTable(stdout);
-		return (callback(error, zfs.listFields_, rows));
-	});
+	mountCommand('share', [], name, options, callback);
 };
 
-zfs.rollback = function (name, callback) {
-	if (arguments.length != 2)
-		throw Error('Invalid arguments');
+zfs.unshare = function (name, options, callback) {
+	switch (arguments.length) {
+		case 2:
+			callback = arguments[1];
+			options  = {};
+			break;
+		case 3:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
 
-	execFile(exports.paths.zfs, ['rollback', '-r', name],
-	    { timeout: timeoutDuration },
-	    function (error, stdout, stderr) {
-		if (error)
-			return (callback(zfsError(error, stderr)));
-		return (callback());
-	});
+	mountCommand('unshare', [], name, options, callback);
 };
 
-zfs.rename = function (name, newname, callback) {
-	if (arguments.length != 3)
-		throw Error('Invalid arguments');
+/*
+ * Parse the output of a bare `zfs mount`, which lists each mounted file
+ * system and where it's mounted, separated by spaces, into an object mapping
+ * the one to the other.
+ */
+function parseMounts(data) {
+	var result = {};
 
-	execFile(exports.paths.zfs, [ 'rename', name, newname ],
-	    { timeout: timeoutDuration },
-	    function (error, stdout, stderr) {
-		if (error)
-			return (callback(zfsError(error, stderr)));
-		return (callback());
+	data.split('\n').forEach(function (line) {
+		var m = line.match(/^(\S+)\s+(.*)$/);
+
+		if (m)
+			result[m[1]] = m[2];
 	});
-};
 
-zfs.upgrade = function (name, version, callback) {
-	if (arguments.length === 2) {
-		callback = arguments[1];
-	} else if (arguments.length === 3) {
-		version = arguments[1];
-		callback = arguments[2];
-	} else {
-		throw Error('Invalid arguments');
-	}
+	return (result);
+}
 
-	name = arguments[0];
+/*
+ * zfs.mounts([dataset], callback)
+ *
+ * Call back with whether and where each file system is mounted, for
+ * `dataset` and its descendants or, by default, for every pool:
+ *
+ *     {
+ *         name: 'zones/data',
+ *         mounted: true,
+ *         mountpoint: '/zones/data',      (the property, which may also be
+ *                                          "legacy" or "none")
+ *         canmount: 'on',
+ *         mountedAt: '/zones/data'        (where it is actually mounted,
+ *                                          according to `zfs mount`, or null)
+ *     }
+ */
+zfs.mounts = function (dataset, callback) {
+	switch (arguments.length) {
+		case 1:
+			callback = arguments[0];
+			dataset  = undefined;
+			break;
+		case 2:
+			break;
+		default:
+			throw Error('Invalid arguments');
+	}
 
-	var args = [ 'upgrade' ];
-	if (version !== -1)
-		args.push(' -V ' + version);
-	args.push(name);
+	var args = [ 'mount' ];
 
 	execFile(exports.paths.zfs, args, { timeout: timeoutDuration },
 	    function (error, stdout, stderr) {
 		if (error)
-			return (callback(new Error(stderr.toString())));
-		return (callback(null));
+			return (callback(zfsError(exports.paths.zfs, args,
+			    error, stderr)));
+
+		var mounts = parseMounts(stdout);
+
+		return (zfs.list(dataset, { type: 'filesystem',
+		    recursive: true, parseable: true, objects: true,
+		    fields: [ 'name', 'mounted', 'mountpoint', 'canmount' ] },
+		    function (err, fields, rows) {
+			if (err)
+				return (callback(err));
+
+			rows.forEach(function (row) {
+				row.mountedAt = null;
+				if (mounts.hasOwnProperty(row.name))
+					row.mountedAt = mounts[row.name];
+			});
+			return (callback(null, rows));
+		}));
 	});
 };
+
+zfs.replicate = require('./replicate').replicate;
+
+exports.retention = require('./retention');
+
+exports.lineage = require('./lineage');
+
+exports.tree = require('./tree');
+
+exports.promises = require('./promises');
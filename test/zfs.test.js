@@ -12,6 +12,7 @@ var test = require('tap').test;
 var util = require('util');
 var fs = require('fs');
 var path = require('path');
+var os = require('os');
 var zutil = require('/usr/node/node_modules/zutil');
 
 var puts = util.puts;
@@ -26,6 +27,39 @@ var testDataModified = 'Chicken arise! Arise chicken! Arise!';
 var zfs = require('../lib/zfs').zfs;
 var zpool = require('../lib/zfs').zpool;
 
+/*
+ * Stand in a shell script for the zfs or zpool command (`name`) while `body`
+ * runs.  The script is written to a temporary directory of its own, which
+ * `body` is given along with the script's path and a function to call when
+ * it's done, which puts the real command back and removes the directory.  If
+ * `body` throws, that's done before the error is passed on.
+ */
+function fakeCommand(name, script, body) {
+	var lib = require('../lib/zfs');
+	var saved = lib.paths[name];
+	var dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nodezfstest-'));
+	var file = path.join(dir, name);
+
+	function done() {
+		lib.paths[name] = saved;
+		fs.readdirSync(dir).forEach(function (f) {
+			fs.unlinkSync(path.join(dir, f));
+		});
+		fs.rmdirSync(dir);
+	}
+
+	fs.writeFileSync(file, '#!/bin/sh\n' + script);
+	fs.chmodSync(file, parseInt('0755', 8));
+	lib.paths[name] = file;
+
+	try {
+		body(file, dir, done);
+	} catch (e) {
+		done();
+		throw (e);
+	}
+}
+
 test('basic', function (t) {
 	t.ok(zfs, 'zfs module should exist');
 	t.ok(zpool, 'zpool module should exist');
@@ -56,6 +90,8 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 			_t.ok(err, 'expected error did not occur');
 			_t.ok(err.toString().match(/does not exist/),
 			    'received unexpected error message ' + err.msg);
+			_t.equal(err.code, 'ENOENT',
+			    'received unexpected error code ' + err.code);
 			_t.notOk(list, 'dataset list is not empty');
 			callback();
 		});
@@ -98,6 +134,80 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('create dataset with properties', function (st) {
+		var name = zfsName + '/a/b';
+
+		zfs.create(name, { parents: true,
+		    properties: { 'test:created': 'yes', atime: 'off' } },
+		    function (err) {
+			st.notOk(err, 'zfs.create failed: ' + err);
+			zfs.get(name, [ 'test:created', 'atime' ], false,
+			    function (serr, properties) {
+				st.notOk(serr, 'zfs.get failed: ' + serr);
+				st.equal(properties[name]['test:created'],
+				    'yes');
+				st.equal(properties[name].atime, 'off');
+				zfs.destroyAll(zfsName + '/a',
+				    function (sserr) {
+					st.notOk(sserr,
+					    'zfs.destroyAll failed: ' + sserr);
+					st.end();
+				});
+			});
+		});
+	});
+
+	t.test('encrypted dataset keys', function (st) {
+		var name = zfsName + '/secret';
+		var passphrase = 'Dancing is forbidden!';
+
+		function checkStatus(expected) {
+			return (function (next) {
+				zfs.keyStatus(name, function (err, datasets) {
+					st.notOk(err, 'zfs.keyStatus failed: ' +
+					    err);
+					st.equal(datasets[0].encryptionroot,
+					    name);
+					st.equal(datasets[0].keystatus,
+					    expected);
+					next();
+				});
+			});
+		}
+
+		var steps = [
+			function (next) {
+				zfs.create(name, { encryption: 'on',
+				    keyformat: 'passphrase', key: passphrase },
+				    next);
+			},
+			checkStatus('available'),
+			function (next) {
+				zfs.unmount(name, next);
+			},
+			function (next) {
+				zfs.unloadKey(name, next);
+			},
+			checkStatus('unavailable'),
+			function (next) {
+				zfs.loadKey(name, { key: passphrase }, next);
+			},
+			checkStatus('available'),
+			function (next) {
+				zfs.destroy(name, next);
+			}
+		];
+
+		(function run(err) {
+			st.notOk(err, 'key management failed: ' + err);
+			if (err || steps.length === 0) {
+				st.end();
+				return;
+			}
+			steps.shift()(run);
+		})();
+	});
+
 	t.test('set property', function (st) {
 		var properties = {
 			'test:property1': 'foo\tbix\tqube',
@@ -115,6 +225,7 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		zfs.get(zfsName, ['test:property1', 'test:property2'],
 		    false, function (err, properties) {
 			st.ok(properties, 'no properties were returned');
+			properties = properties[zfsName];
 			val = properties['test:property1'];
 			st.equal(val, 'foo\tbix\tqube',
 			    'property test:property1 has incorrect value "' +
@@ -127,6 +238,82 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('get property sources', function (st) {
+		zfs.get(zpoolName, [ 'test:property2', 'atime' ],
+		    { recursive: true, depth: 1, detailed: true },
+		    function (err, properties) {
+			st.notOk(err, 'zfs.get failed: ' + err);
+			st.ok(properties[zfsName], zfsName + ' not found');
+			properties = properties[zfsName];
+			st.equal(properties['test:property2'].value, 'baz');
+			st.equal(properties['test:property2'].source, 'local');
+			st.equal(properties['test:property2'].received, null);
+			st.ok(properties.atime.source === 'default' ||
+			    properties.atime.inheritedFrom === zpoolName,
+			    'atime has unexpected source ' +
+			    properties.atime.source);
+			st.end();
+		});
+	});
+
+	t.test('inherit property', function (st) {
+		zfs.inherit(zfsName, [ 'test:property2' ], function (err) {
+			st.notOk(err, 'inheriting property failed: ' + err);
+			zfs.get(zfsName, [ 'test:property2' ], false,
+			    function (serr, properties) {
+				st.notOk(serr, 'zfs.get failed: ' + serr);
+				var val = properties[zfsName]['test:property2'];
+				st.equal(val, '-',
+				    'property test:property2 is still set');
+				st.end();
+			});
+		});
+	});
+
+	t.test('delegate permissions', function (st) {
+		var grant = {
+			users: 'root',
+			permissions: [ 'snapshot', 'hold' ],
+			local: true
+		};
+
+		zfs.allow(zfsName, grant, function (err) {
+			st.notOk(err, 'zfs.allow failed: ' + err);
+			zfs.permissions(zfsName, function (serr, perms) {
+				st.notOk(serr, 'zfs.permissions failed: ' +
+				    serr);
+				st.deepEqual(perms[zfsName].local.users.root
+				    .sort(), [ 'hold', 'snapshot' ]);
+				zfs.unallow(zfsName, grant, function (sserr) {
+					st.notOk(sserr, 'zfs.unallow failed: ' +
+					    sserr);
+					st.end();
+				});
+			});
+		});
+	});
+
+	t.test('user quota and space', function (st) {
+		zfs.setUserQuota(zfsName, { root: '1G' }, function (err) {
+			st.notOk(err, 'zfs.setUserQuota failed: ' + err);
+			zfs.userspace(zfsName, function (serr, users) {
+				st.notOk(serr, 'zfs.userspace failed: ' + serr);
+				var root = users.filter(function (u) {
+					return (u.name === 'root');
+				})[0];
+				st.ok(root, 'root not in userspace');
+				st.equal(root.quota, 1024 * 1024 * 1024);
+				st.equal(typeof (root.used), 'number');
+				zfs.setUserQuota(zfsName, { root: null },
+				    function (sserr) {
+					st.notOk(sserr, 'removing quota ' +
+					    'failed: ' + sserr);
+					st.end();
+				});
+			});
+		});
+	});
+
 	t.test('take snapshot', function (st) {
 		var snapshotName = zfsName + '@mysnapshot';
 
@@ -149,6 +336,61 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('take snapshot with properties', function (st) {
+		var snapshotName = zfsName + '@withprops';
+
+		zfs.snapshot([ snapshotName ], { recursive: true,
+		    properties: { 'test:snapprop': 'yes' } }, function (err) {
+			st.notOk(err, 'snapshot error occurred: ' + err);
+			zfs.get(snapshotName, [ 'test:snapprop' ], false,
+			    function (serr, properties) {
+				st.notOk(serr, 'zfs.get failed: ' + serr);
+				st.equal(properties[snapshotName]
+				    ['test:snapprop'], 'yes');
+				zfs.destroy(snapshotName, function (sserr) {
+					st.notOk(sserr, 'destroy failed: ' +
+					    sserr);
+					st.end();
+				});
+			});
+		});
+	});
+
+	t.test('list datasets as objects', function (st) {
+		zfs.list(zfsName, { objects: true, parseable: true,
+		    fields: [ 'name', 'used', 'atime', 'origin' ] },
+		    function (err, fields, list) {
+			st.notOk(err, 'dataset list failed: ' + err);
+			st.equal(list.length, 1);
+			st.equal(list[0].name, zfsName);
+			st.equal(typeof (list[0].used), 'number');
+			st.equal(typeof (list[0].atime), 'boolean');
+			st.equal(list[0].origin, null);
+			st.end();
+		});
+	});
+
+	t.test('load dataset tree', function (st) {
+		var tree = require('../lib/zfs').tree;
+		var snapshotName = zfsName + '@mysnapshot';
+
+		tree.load(zpoolName, function (err, roots) {
+			st.notOk(err, 'tree.load failed: ' + err);
+			st.equal(roots.length, 1);
+			st.equal(roots[0].name, zpoolName);
+
+			var node = tree.find(roots, zfsName);
+			st.ok(node, zfsName + ' not found in tree');
+			st.equal(node.parent.name, zfsName.split('/')
+			    .slice(0, -1).join('/'));
+			st.ok(node.snapshots.some(function (s) {
+				return (s.name === snapshotName);
+			}), 'snapshot not attached to its dataset');
+			st.equal(typeof (node.properties.used), 'number');
+			st.end();
+		});
+	});
+
 	t.test('recursive dataset list', function (st) {
 		function inList(needle, haystack) {
 			return (haystack.some(function (i) {
@@ -180,6 +422,24 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('send a snapshot as a stream', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+		var stream = zfs.sendStream(snapshotName, { props: true });
+		var bytes = 0;
+
+		stream.on('data', function (data) {
+			bytes += data.length;
+		});
+		stream.on('error', function (err) {
+			st.notOk(err, 'zfs.sendStream failed: ' + err);
+			st.end();
+		});
+		stream.on('end', function () {
+			st.ok(bytes > 0, 'send stream is empty');
+			st.end();
+		});
+	});
+
 	t.test('receive a snapshot from a file', function (st) {
 		var datasetName = zfsName + '/from_receive';
 		var snapshotFilename = '/tmp/node-zfs-test-snapshot.zfs';
@@ -204,6 +464,60 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('receive a snapshot from a stream', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+		var datasetName = zfsName + '/from_stream';
+
+		zfs.receiveStream(datasetName, {
+			noMount: true,
+			source: zfs.sendStream(snapshotName)
+		}, function (err) {
+			st.notOk(err, 'zfs.receiveStream failed: ' + err);
+			datasetExists(st, datasetName + '@mysnapshot',
+			    function () {
+				st.end();
+			});
+		});
+	});
+
+	t.test('replicate a dataset', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+		var replicaName = zfsName + '/replica';
+
+		zfs.replicate(zfsName, replicaName, { noMount: true },
+		    function (err, result) {
+			st.notOk(err, 'zfs.replicate failed: ' + err);
+			st.equal(result.incremental, false);
+			st.deepEqual(result.snapshots, [ snapshotName ]);
+			st.ok(result.bytes > 0, 'no bytes were sent');
+
+			zfs.replicate(zfsName, replicaName, { noMount: true },
+			    function (serr, sresult) {
+				st.notOk(serr, 'zfs.replicate failed: ' + serr);
+				st.deepEqual(sresult.snapshots, [],
+				    'replica is not up to date');
+				st.end();
+			});
+		});
+	});
+
+	t.test('diff snapshot', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+
+		fs.writeFile(testFilename, testDataModified, function (err) {
+			st.notOk(err, 'write test file failed: ' + err);
+			zfs.diff(snapshotName, function (serr, changes) {
+				st.notOk(serr, 'zfs.diff failed: ' + serr);
+				st.ok(changes.some(function (c) {
+					return (c.path === testFilename &&
+					    c.change === 'M' &&
+					    c.type === 'file');
+				}), 'modified test file not in diff');
+				st.end();
+			});
+		});
+	});
+
 	t.test('snapshot rollback', function (st) {
 		var snapshotName = zfsName + '@mysnapshot';
 
@@ -228,6 +542,29 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('unmount and mount dataset', function (st) {
+		zfs.unmount(zfsName, function (err) {
+			st.notOk(err, 'zfs.unmount failed: ' + err);
+			zfs.mounts(zfsName, function (serr, mounts) {
+				st.notOk(serr, 'zfs.mounts failed: ' + serr);
+				st.equal(mounts[0].name, zfsName);
+				st.equal(mounts[0].mounted, false);
+				st.equal(mounts[0].mountedAt, null);
+				zfs.mount(zfsName, function (sserr) {
+					st.notOk(sserr, 'zfs.mount failed: ' +
+					    sserr);
+					fs.readFile(testFilename,
+					    function (e) {
+						st.notOk(e, 'test file ' +
+						    'missing after remount: ' +
+						    e);
+						st.end();
+					});
+				});
+			});
+		});
+	});
+
 	t.test('create clone', function (st) {
 		var snapshotName = zfsName + '@mysnapshot';
 		var cloneName = zpoolName + '/' + 'myclone';
@@ -240,6 +577,47 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('clone lineage', function (st) {
+		var lineage = require('../lib/zfs').lineage;
+		var snapshotName = zfsName + '@mysnapshot';
+		var cloneName = zpoolName + '/' + 'myclone';
+
+		lineage.graph(zpoolName, function (err, g) {
+			st.notOk(err, 'lineage.graph failed: ' + err);
+			st.equal(g[cloneName].origin, snapshotName);
+			st.deepEqual(g[snapshotName].clones, [ cloneName ]);
+			zfs.destroy(snapshotName, function (serr) {
+				st.ok(serr, 'destroyed a cloned snapshot');
+				st.equal(serr.code, 'ECLONED');
+				st.equal(serr.blockers[0].name, cloneName);
+				st.end();
+			});
+		});
+	});
+
+	t.test('promote clone', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+		var cloneName = zpoolName + '/' + 'myclone';
+
+		zfs.promote(cloneName, function (err) {
+			st.notOk(err, 'zfs.promote failed: ' + err);
+			zfs.get(zfsName, [ 'origin' ], true,
+			    function (serr, properties) {
+				st.equal(properties[zfsName].origin,
+				    cloneName + '@mysnapshot');
+				// and back again, so the clone can be destroyed
+				zfs.promote(zfsName, function (sserr) {
+					st.notOk(sserr, 'zfs.promote failed: ' +
+					    sserr);
+					datasetExists(st, snapshotName,
+					    function () {
+						st.end();
+					});
+				});
+			});
+		});
+	});
+
 	t.test('destroy clone', function (st) {
 		var cloneName = zpoolName + '/' + 'myclone';
 
@@ -252,6 +630,61 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('hold snapshot', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+
+		zfs.hold('nodezfstest', snapshotName, function (err) {
+			st.notOk(err, 'zfs.hold failed: ' + err);
+			zfs.holds(snapshotName, function (serr, holds) {
+				st.notOk(serr, 'zfs.holds failed: ' + serr);
+				st.equal(holds.length, 1);
+				st.equal(holds[0].name, snapshotName);
+				st.equal(holds[0].tag, 'nodezfstest');
+				st.ok(holds[0].timestamp instanceof Date);
+				st.end();
+			});
+		});
+	});
+
+	t.test('destroy held snapshot', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+
+		zfs.destroy(snapshotName, function (err) {
+			st.ok(err, 'destroyed a held snapshot');
+			st.equal(err.code, 'EHELD');
+			st.equal(err.holds[0].tag, 'nodezfstest');
+			zfs.release('nodezfstest', snapshotName,
+			    function (serr) {
+				st.notOk(serr, 'zfs.release failed: ' + serr);
+				st.end();
+			});
+		});
+	});
+
+	t.test('bookmark snapshot', function (st) {
+		var snapshotName = zfsName + '@mysnapshot';
+		var bookmarkName = zfsName + '#mybookmark';
+
+		zfs.bookmark(snapshotName, '#mybookmark', function (err) {
+			st.notOk(err, 'zfs.bookmark failed: ' + err);
+			zfs.list(zfsName, { type: 'bookmark', recursive: true,
+			    parseable: true, objects: true },
+			    function (serr, fields, list) {
+				st.notOk(serr, 'bookmark list failed: ' + serr);
+				st.deepEqual(fields, zfs.bookmarkFields_);
+				st.equal(list.length, 1);
+				st.equal(list[0].name, bookmarkName);
+				st.ok(list[0].guid, 'bookmark has no guid');
+				st.equal(typeof (list[0].createtxg), 'number');
+				zfs.destroy(bookmarkName, function (sserr) {
+					st.notOk(sserr, 'destroying bookmark ' +
+					    'failed: ' + sserr);
+					st.end();
+				});
+			});
+		});
+	});
+
 	t.test('destroy snapshot', function (st) {
 		var snapshotName = zfsName + '@mysnapshot';
 
@@ -274,6 +707,122 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 		});
 	});
 
+	t.test('scrub pool', function (st) {
+		var since = new Date();
+
+		zpool.scrub(zpoolName, function (err) {
+			st.notOk(err, 'zpool.scrub failed: ' + err);
+			zpool.monitorScan(zpoolName, { interval: 1000,
+			    since: since }).on('progress', function (scan) {
+				st.equal(scan.type, 'scrub');
+			}).on('error', function (serr) {
+				st.notOk(serr, 'scan monitor failed: ' + serr);
+				st.end();
+			}).on('done', function (scan) {
+				st.equal(scan.type, 'scrub');
+				st.equal(scan.state, 'finished');
+				st.equal(scan.errors, 0);
+				st.end();
+			});
+		});
+	});
+
+	t.test('sample pool iostat', function (st) {
+		var samples = [];
+		var sampler = zpool.iostat(zpoolName, { interval: 1,
+		    verbose: true });
+
+		sampler.on('sample', function (sample) {
+			samples.push(sample);
+			if (samples.length === 2)
+				sampler.stop();
+		});
+		sampler.on('error', function (err) {
+			st.notOk(err, 'zpool.iostat failed: ' + err);
+		});
+		sampler.on('end', function () {
+			st.equal(samples.length, 2, 'two samples before stop');
+			st.equal(samples[1].index, 1);
+			st.equal(samples[1].pools[0].name, zpoolName);
+			st.equal(typeof (samples[1].pools[0].ops.read),
+			    'number');
+			st.ok(samples[1].pools[0].vdevs.length > 0,
+			    'no vdevs in verbose sample');
+			st.end();
+		});
+	});
+
+	t.test('pool events', function (st) {
+		zpool.events(zpoolName, function (err, events) {
+			st.notOk(err, 'zpool.events failed: ' + err);
+			st.ok(Array.isArray(events), 'events is an array');
+			events.forEach(function (e) {
+				st.ok(e.time instanceof Date, 'no event time');
+				st.equal(typeof (e['class']), 'string');
+			});
+
+			var stream = zpool.followEvents(zpoolName);
+			stream.on('error', function (serr) {
+				st.notOk(serr, 'zpool.followEvents failed: ' +
+				    serr);
+			});
+			stream.on('end', function () {
+				st.end();
+			});
+			stream.resume();
+			setTimeout(function () {
+				stream.stop();
+			}, 1000);
+		});
+	});
+
+	t.test('export and import pool', function (st) {
+		var dir = '/var/tmp/nodezfstest-import';
+		var file = dir + '/disk0';
+		var pool = 'nodezfsimport';
+
+		try {
+			fs.mkdirSync(dir);
+		} catch (e) {
+			st.equal(e.code, 'EEXIST');
+		}
+		fs.writeFileSync(file, '');
+		fs.truncateSync(file, 128 * 1024 * 1024);
+
+		function cleanup() {
+			zpool.destroy(pool + 'b', function () {
+				fs.unlinkSync(file);
+				fs.rmdirSync(dir);
+				st.end();
+			});
+		}
+
+		zpool.create(pool, { vdevs: [ { name: file } ] },
+		    function (err) {
+			st.notOk(err, 'zpool.create failed: ' + err);
+			zpool.export(pool, function (serr) {
+				st.notOk(serr, 'zpool.export failed: ' + serr);
+				zpool.importable({ dirs: dir },
+				    function (sserr, pools) {
+					st.notOk(sserr, 'zpool.importable ' +
+					    'failed: ' + sserr);
+					st.equal(pools.length, 1);
+					st.equal(pools[0].name, pool);
+					st.equal(pools[0].config.children[0]
+					    .name, file);
+					zpool.import(pools[0].id, {
+						dirs: dir,
+						newName: pool + 'b'
+					}, function (e) {
+						st.notOk(e, 'zpool.import ' +
+						    'failed: ' + e);
+						cleanup();
+					});
+				});
+			});
+		});
+	});
+
 	t.test('list errors', function (st) {
 		var datasetName = 'thisprobably/doesnotexist';
 
@@ -282,6 +831,9 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 				st.ok(err, 'error expected but did not occur');
 				st.ok(err.toString().match(/does not exist/),
 				    'bad error on nonexistent dataset: ' + err);
+				st.equal(err.code, 'ENOENT');
+				st.deepEqual(err.argv.slice(-1),
+				    [ datasetName ]);
 				st.end();
 			});
 		});
@@ -296,12 +848,786 @@ test('zfs', { skip: (zutil.getZone() !== 'global') }, function (t) {
 				st.ok(err, 'no error deleting nonexistent ds');
 				st.ok(err.toString().match(/does not exist/),
 				    'bad error message on deletion: ' + err);
+				st.equal(err.code, 'ENOENT');
 				st.end();
 			});
 		});
 	});
 });
 
+test('promises', function (t) {
+	var lib = require('../lib/zfs');
+	var saved = lib.paths.zfs;
+
+	t.ok(lib.promises.zfs, 'promises.zfs should exist');
+	t.ok(lib.promises.zpool, 'promises.zpool should exist');
+	Object.keys(zfs).forEach(function (name) {
+		if (typeof (zfs[name]) === 'function')
+			t.ok(lib.promises.zfs[name], 'promises.zfs.' + name);
+	});
+
+	lib.paths.zfs = '/nonexistent/zfs';
+	lib.promises.zfs.list({ name: 'a/b' }).then(function () {
+		t.fail('listing succeeded without a zfs command');
+	}, function (err) {
+		t.ok(err instanceof lib.ZfsError, 'rejected with ZfsError');
+		t.equal(err.code, 'ESPAWN', 'not a missing dataset');
+		t.equal(err.syscall, 'spawn /nonexistent/zfs');
+		t.ok(err.errno, 'errno is kept');
+	}).then(function () {
+		lib.paths.zfs = saved;
+		t.end();
+	});
+});
+
+test('promises receiveStream piped into', function (t) {
+	var PassThrough = require('stream').PassThrough;
+	var promises = require('../lib/zfs').promises;
+
+	fakeCommand('zfs', 'cat >"$0.in"\n', function (fake, dir, done) {
+		var p = promises.zfs.receiveStream('a/b');
+		var source = new PassThrough();
+
+		source.pipe(p.stream);
+		source.end('stream\n');
+		p.then(function () {
+			t.equal(fs.readFileSync(fake + '.in', 'utf8'),
+			    'stream\n', 'what is piped in is received');
+			done();
+			fails();
+		}, function (err) {
+			t.notOk(err, 'receive failed: ' + err);
+			done();
+			t.end();
+		});
+	});
+
+	// a receive that waits for input until it is killed
+	function fails() {
+		fakeCommand('zfs', 'exec sleep 30\n',
+		    function (fake, dir, done) {
+			var p = promises.zfs.receiveStream('a/b');
+			var error = new Error('source failed');
+
+			new PassThrough().pipe(p.stream);
+			p.stream.emit('error', error);
+			p.then(function () {
+				t.fail('receive succeeded');
+			}, function (err) {
+				t.equal(err, error, 'rejected with the error');
+				t.ok(p.stream.child.killed,
+				    'zfs receive was killed');
+			}).then(function () {
+				done();
+				t.end();
+			});
+		});
+	}
+});
+
+test('error classification', function (t) {
+	var ZfsError = require('../lib/zfs').ZfsError;
+	var err;
+
+	function classify(stderr) {
+		return (new ZfsError({ stderr: stderr, exitCode: 1 }).code);
+	}
+
+	t.equal(classify('cannot open \'a/b\': dataset does not exist\n'),
+	    'ENOENT');
+	t.equal(classify('cannot create \'a/b\': dataset already exists'),
+	    'EEXIST');
+	t.equal(classify('cannot destroy \'a/b\': dataset is busy\n'),
+	    'EBUSY');
+	t.equal(classify('cannot create \'a/b\': permission denied\n'),
+	    'EPERM');
+	t.equal(classify('could not find any snapshots to destroy; ' +
+	    'check snapshot names.\n'), 'ENOENT');
+	t.equal(classify('cannot create \'a/b\': invalid property ' +
+	    '\'foo\'\n'), 'EINVAL');
+	t.equal(classify('cannot receive: checksum mismatch or incomplete ' +
+	    'stream.\nPartially received snapshot is saved.\n'), 'EUNKNOWN');
+	t.equal(classify('cannot mount \'/a\': ' +
+	    'mount helper not found\n'), 'EUNKNOWN',
+	    '"not found" alone is not ENOENT');
+	t.equal(classify('invalidated cache\n'), 'EUNKNOWN',
+	    '"invalid" alone is not EINVAL');
+	t.equal(classify('something unexpected\n'), 'EUNKNOWN');
+
+	err = new ZfsError({ cmd: '/sbin/zfs', argv: [ 'list' ],
+	    timedOut: true });
+	t.ok(err instanceof Error, 'ZfsError is an Error');
+	t.equal(err.code, 'ETIMEDOUT');
+	t.ok(err.timedOut, 'timedOut is set');
+	t.equal(err.exitCode, null);
+	t.end();
+});
+
+test('retention planning', function (t) {
+	var retention = require('../lib/zfs').retention;
+	var now = Date.UTC(2026, 9, 19, 14, 30);
+	var snapshots = [];
+	var plan, i;
+
+	function snap(time, userrefs, clones) {
+		var stamp = new Date(time).toISOString();
+		stamp = stamp.replace(/[-:]/g, '').replace(/\.[0-9]+/, '');
+		return ({ name: 'zones/data@auto-' + stamp,
+		    userrefs: userrefs || 0, clones: clones || null });
+	}
+
+	// one snapshot an hour, every hour for the last ten days
+	for (i = 1; i <= 240; i++)
+		snapshots.push(snap(now - i * 3600 * 1000));
+	snapshots.push({ name: 'zones/data@manual', userrefs: 0,
+	    clones: null });
+	snapshots[200].userrefs = 1;
+	snapshots[210].clones = 'zones/clone';
+
+	plan = retention.computePlan('zones/data', snapshots,
+	    { hourly: 6, daily: 3 }, { now: new Date(now) });
+	t.deepEqual(plan.create, [ 'zones/data@auto-20261019T143000Z' ]);
+	t.equal(plan.keep.length, 7, 'five more hourly and two more daily');
+	t.ok(plan.keep.indexOf('zones/data@auto-20261017T233000Z') !== -1,
+	    'last snapshot of the day before yesterday is kept');
+	t.deepEqual(plan.skipped, [
+		{ name: snapshots[200].name, reason: 'held' },
+		{ name: snapshots[210].name, reason: 'cloned' }
+	]);
+	t.equal(plan.destroy.length, 240 - 7 - 2);
+	t.equal(plan.destroy.indexOf('zones/data@manual'), -1,
+	    'unmanaged snapshot is left alone');
+
+	plan = retention.computePlan('zones/data', snapshots,
+	    { hourly: 6, daily: 3 }, { now: new Date(now - 50 * 60 * 1000) });
+	t.deepEqual(plan.create, [], 'this hour already has a snapshot');
+
+	t.throws(function () {
+		retention.computePlan('zones/data', [], { fortnightly: 2 });
+	}, 'unknown period is rejected');
+	t.throws(function () {
+		retention.computePlan('zones/data', [],
+		    { hourly: 0, daily: 7 });
+	}, 'zero count is rejected');
+	t.end();
+});
+
+test('clone lineage planning', function (t) {
+	var lineage = require('../lib/zfs').lineage;
+	var g = lineage.buildGraph([
+		{ name: 'zones', type: 'filesystem' },
+		{ name: 'zones/data', type: 'filesystem' },
+		{ name: 'zones/data@a', type: 'snapshot',
+		    clones: 'zones/copy' },
+		{ name: 'zones/data/sub', type: 'filesystem' },
+		{ name: 'zones/data/sub@a', type: 'snapshot' },
+		{ name: 'zones/data#a', type: 'bookmark' },
+		{ name: 'zones/copy', type: 'filesystem',
+		    origin: 'zones/data@a' },
+		{ name: 'zones/data/sub/copy', type: 'filesystem',
+		    origin: 'zones/data/sub@a' },
+		{ name: 'zones/datab', type: 'filesystem' }
+	]);
+	var plan;
+
+	t.equal(g['zones/copy'].origin, 'zones/data@a');
+	t.deepEqual(g['zones/data/sub@a'].clones, [ 'zones/data/sub/copy' ],
+	    'links are recorded at both ends');
+
+	plan = lineage.computeDestroyPlan(g, 'zones/data@a');
+	t.deepEqual(plan.destroy, [ 'zones/data@a' ]);
+	t.equal(plan.blockers.length, 1);
+	t.equal(plan.blockers[0].name, 'zones/copy');
+	t.equal(plan.blockers[0].reason, 'clone');
+
+	plan = lineage.computeDestroyPlan(g, 'zones/data', { recursive: true });
+	t.notOk(plan.destroy.indexOf('zones/datab') !== -1,
+	    'a sibling with a common prefix is not a descendant');
+	t.ok(plan.destroy.indexOf('zones/data#a') !== -1);
+	t.deepEqual(plan.blockers.map(function (b) {
+		return (b.name);
+	}), [ 'zones/copy' ], 'clones within the tree do not block');
+
+	plan = lineage.computeDestroyPlan(g, 'zones/data');
+	t.deepEqual(plan.blockers.map(function (b) {
+		return (b.reason + ' ' + b.name);
+	}), [ 'snapshot zones/data@a', 'child zones/data/sub' ]);
+	t.end();
+});
+
+test('dataset tree', function (t) {
+	var tree = require('../lib/zfs').tree;
+	var roots = tree.build([
+		{ name: 'zones', written: 1 },
+		{ name: 'zones/data', written: 2 },
+		{ name: 'zones/data/a', written: 4 },
+		{ name: 'zones/data/b', written: null },
+		{ name: 'zones/other', written: 8 },
+		{ name: 'backup', written: 16 }
+	], [
+		{ name: 'zones/data@monday', written: 32 },
+		{ name: 'missing@monday', written: 64 }
+	]);
+	var data, names = [];
+
+	t.deepEqual(roots.map(function (n) {
+		return (n.name);
+	}), [ 'zones', 'backup' ]);
+
+	data = tree.find(roots, 'zones/data');
+	t.equal(data.parent.name, 'zones');
+	t.equal(data.children.length, 2);
+	t.deepEqual(data.properties, { written: 2 });
+	t.equal(data.snapshots[0].name, 'zones/data@monday');
+	t.equal(tree.find(roots, 'zones/nope'), null);
+	t.equal(tree.find(roots, function (n) {
+		return (n.properties.written === 8);
+	}).name, 'zones/other');
+
+	tree.walk(roots, function (n) {
+		names.push(n.name);
+		return (n.name !== 'zones/data');
+	});
+	t.deepEqual(names, [ 'zones', 'zones/data', 'zones/other', 'backup' ],
+	    'walk is depth-first and can skip subtrees');
+
+	t.equal(tree.total(data, 'written'), 6);
+	t.equal(tree.total(data, 'written', { snapshots: true }), 38);
+	t.equal(tree.total(roots, 'written'), 31);
+	t.equal(typeof (tree.total([], 'written', { bigint: true })),
+	    'bigint', 'empty total is a BigInt with bigint');
+	t.equal(typeof (tree.total(data, 'written', { bigint: true })),
+	    'bigint');
+
+	var mixed = tree.build([
+		{ name: 'tank', used: global.BigInt(1), compressratio: 1.5 },
+		{ name: 'tank/a', used: 2, compressratio: 2, type: 'volume' }
+	], []);
+	t.ok(tree.total(mixed, 'used') instanceof Error,
+	    'numbers and BigInts are not added');
+	t.ok(tree.total(mixed, 'compressratio', { bigint: true }) instanceof
+	    Error, 'a fractional total is not made a BigInt');
+	t.equal(tree.total(mixed, 'compressratio'), 3.5);
+	t.ok(tree.total(mixed, 'type') instanceof Error,
+	    'only numbers are added');
+	t.end();
+});
+
+test('load dataset tree arguments', function (t) {
+	var lib = require('../lib/zfs');
+
+	t.throws(function () {
+		lib.tree.load(42, function () {});
+	}, 'a dataset must be a string');
+	t.throws(function () {
+		lib.tree.load('zones', {});
+	}, 'a callback is required');
+
+	// no datasets at all
+	fakeCommand('zfs', 'exit 0\n', function (fake, dir, done) {
+		lib.tree.load(null, function (err, roots) {
+			done();
+			t.notOk(err, 'tree.load failed: ' + err);
+			t.deepEqual(roots, [], 'null is every pool');
+			t.end();
+		});
+	});
+});
+
+test('zfs allow parsing', function (t) {
+	var perms = zfs.parseAllow(fs.readFileSync('zfs-allow.delegated',
+	    'utf8'));
+	var data = perms['zones/data'];
+
+	t.deepEqual(Object.keys(perms), [ 'zones/data', 'zones' ]);
+	t.deepEqual(data.sets, { '@backup': [ 'hold', 'send', 'snapshot' ] });
+	t.deepEqual(data.create, [ 'create', 'destroy', 'mount' ]);
+	t.deepEqual(data.local.users, { alice: [ 'snapshot' ] });
+	t.deepEqual(data.local.groups, { staff: [ 'mount' ] });
+	t.deepEqual(data.descendant.users,
+	    { bob: [ 'send' ], carol: [ 'send', 'receive' ] });
+	t.deepEqual(data.localDescendant.users.backup,
+	    [ '@backup', 'userprop' ]);
+	t.deepEqual(data.localDescendant.everyone, [ 'hold' ]);
+	t.deepEqual(perms.zones.localDescendant.groups.admin,
+	    [ 'create', 'destroy' ]);
+	t.deepEqual(perms.zones.local,
+	    { users: {}, groups: {}, everyone: [] });
+	t.deepEqual(zfs.parseAllow(''), {});
+	t.end();
+});
+
+test('zfs get parsing', function (t) {
+	var props;
+
+	t.deepEqual(zfs.parsePropertyList(''), {}, 'empty output');
+	t.deepEqual(zfs.parsePropertyList('\n'), {}, 'blank line');
+	t.deepEqual(zfs.parsePropertySources(''), {}, 'empty detailed output');
+
+	props = zfs.parsePropertyList([
+		'zones/data\tcompression\tlz4',
+		'zones/data\ttest:key\ta\tb\t',
+		'zones/data\ttest:empty\t',
+		''
+	].join('\n'));
+	t.deepEqual(props, { 'zones/data': {
+		compression: 'lz4',
+		'test:key': 'a\tb\t',
+		'test:empty': ''
+	} }, 'values keep their tabs');
+
+	props = zfs.parsePropertySources([
+		'zones/data\tcompression\tlz4\t-\tinherited from zones',
+		'zones/data\tquota\t10G\t20G\tlocal',
+		'zones/data\ttest:key\ta\tb\t-\tlocal',
+		'zones/data\ttype\tfilesystem\t-\t-',
+		''
+	].join('\n'))['zones/data'];
+	t.deepEqual(props.compression, { value: 'lz4', received: null,
+	    source: 'inherited', inheritedFrom: 'zones' });
+	t.deepEqual(props.quota, { value: '10G', received: '20G',
+	    source: 'local' });
+	t.equal(props['test:key'].value, 'a\tb', 'detailed value with a tab');
+	t.equal(props.type.source, 'none');
+	t.end();
+});
+
+test('zfs userspace parsing', function (t) {
+	var data = fs.readFileSync('zfs-userspace.mixed', 'utf8');
+	var users = zfs.parseSpace(data);
+
+	t.equal(users.length, 4);
+	t.deepEqual(users[0], { type: 'POSIX User', name: 'alice', id: null,
+	    used: 1048576, quota: 10737418240 });
+	t.equal(users[1].name, '1001', 'unmapped ids are kept as names');
+	t.equal(users[1].id, 1001, 'and given as numbers');
+	t.equal(users[1].quota, null, 'no quota');
+	t.equal(users[2].quota, null, '"-" is no quota');
+	t.equal(users[3].type, 'SMB User');
+
+	users = zfs.parseSpace(data, null, { bigint: true });
+	t.equal(typeof (users[2].used), 'bigint', 'bigint sizes');
+	t.equal(String(users[2].used), '9007199254740993',
+	    'sizes beyond 2^53 are exact');
+	t.equal(users[2].quota, null);
+	t.equal(typeof (users[1].id), 'number', 'ids stay numbers');
+
+	users = zfs.parseSpace('POSIX Group\t0\t4096\t3\n',
+	    [ 'type', 'name', 'used', 'objused' ]);
+	t.deepEqual(users[0], { type: 'POSIX Group', name: '0', id: 0,
+	    used: 4096, objused: 3 });
+	t.deepEqual(zfs.parseSpace(''), []);
+	t.end();
+});
+
+test('zfs diff parsing', function (t) {
+	var changes = zfs.parseDiff([
+		'1634567890.123456789\tM\t/\t/zones/data',
+		'1634567890.5\t+\tF\t/zones/data/new\\0040file',
+		'1634567891.0\tR\tF\t/zones/data/a\t' +
+		    '/zones/data/\\0303\\0251t\\0303\\0251',
+		'1634567892\t-\t@\t/zones/data/back\\0134slash',
+		'1634567893\tM\t/\t/zones/data/dir\t(+1)',
+		'1634567894\tM\tF\t/zones/data/link\t(-1)',
+		''
+	].join('\n'));
+
+	t.equal(changes.length, 6);
+	t.equal(changes[0].change, 'M');
+	t.equal(changes[0].type, 'directory');
+	t.equal(changes[0].time.getTime(), 1634567890123);
+	t.equal(changes[1].path, '/zones/data/new file',
+	    'octal escapes are decoded');
+	t.equal(changes[2].newPath, '/zones/data/\u00e9t\u00e9',
+	    'escaped UTF-8 is decoded');
+	t.equal(changes[3].type, 'symlink');
+	t.equal(changes[3].path, '/zones/data/back\\slash');
+	t.notOk('newPath' in changes[0], 'only renames have newPath');
+	t.notOk('linkDelta' in changes[0]);
+	t.equal(changes[4].path, '/zones/data/dir');
+	t.notOk('newPath' in changes[4], 'a link count is not a new path');
+	t.equal(changes[4].linkDelta, 1, 'link count changes');
+	t.equal(changes[5].linkDelta, -1);
+
+	t.equal(zfs.parseDiff('-\t/a\\040b\n',
+	    { timestamps: false, fileTypes: false })[0].path, '/a b',
+	    'three octal digits');
+
+	changes = zfs.parseDiff('R\t/zones/data/a\t/zones/data/b\n',
+	    { timestamps: false, fileTypes: false });
+	t.deepEqual(changes, [ { change: 'R', path: '/zones/data/a',
+	    newPath: '/zones/data/b' } ], 'without -t and -F');
+	t.end();
+});
+
+test('line parsing across chunks', function (t) {
+	// split the UTF-8 of "\u00e9" (c3 a9) between two writes
+	fakeCommand('zfs',
+	    'printf \'1634567890\\t+\\tF\\t/zones/data/\\303\'\n' +
+	    'sleep 0.1\n' +
+	    'printf \'\\251t\\303\\251\\n\'\n', function (fake, dir, done) {
+		zfs.diff('zones/data@a', function (err, changes) {
+			done();
+			t.notOk(err, 'zfs.diff failed: ' + err);
+			t.equal(changes[0].path, '/zones/data/\u00e9t\u00e9',
+			    'split multibyte character is decoded');
+			t.end();
+		});
+	});
+});
+
+test('zpool status parsing', function (t) {
+	var status, vdevs;
+
+	status = zpool.parseStatus(fs.readFileSync('zpool-status.degraded',
+	    'utf8'));
+	t.equal(status.length, 1, 'one pool in status output');
+	status = status[0];
+	t.equal(status.name, 'zones');
+	t.equal(status.state, 'DEGRADED');
+	t.ok(status.status.match(/continue functioning in a degraded state\.$/),
+	    'status text is joined across lines');
+	t.equal(status.see, 'http://illumos.org/msg/ZFS-8000-2Q');
+
+	vdevs = status.config.children;
+	t.equal(status.config.name, 'zones');
+	t.equal(vdevs.length, 2, 'two top-level vdevs');
+	t.equal(vdevs[0].name, 'mirror-0');
+	t.equal(vdevs[0].state, 'DEGRADED');
+	t.equal(vdevs[0].children[1].state, 'UNAVAIL');
+	t.equal(vdevs[0].children[1].message, 'cannot open');
+	t.equal(vdevs[1].children[1].cksum, 12);
+	t.equal(status.logs[0].name, 'c1t0d0');
+	t.equal(status.cache[0].name, 'c1t1d0');
+	t.equal(status.spares[0].state, 'AVAIL');
+	t.equal(status.errors.count, 0);
+
+	t.equal(status.scan.type, 'resilver');
+	t.equal(status.scan.state, 'scanning');
+	t.equal(status.scan.percent, 8);
+	t.equal(status.scan.total, 10 * 1024 * 1024 * 1024);
+	t.equal(status.scan.etaSeconds, 184);
+
+	status = zpool.parseStatus(fs.readFileSync('zpool-status.scrubbed',
+	    'utf8'))[0];
+	t.equal(status.state, 'ONLINE');
+	t.equal(status.config.children[0].name, 'raidz2-0');
+	t.equal(status.config.children[0].children.length, 4);
+	t.equal(status.scan.type, 'scrub');
+	t.equal(status.scan.state, 'finished');
+	t.equal(status.scan.errors, 0);
+	t.equal(status.errors.count, 2);
+
+	status = zpool.parseStatus(fs.readFileSync('zpool-status.errors',
+	    'utf8'));
+	t.equal(status.length, 1, 'error entries are not pools');
+	status = status[0];
+	t.equal(status.name, 'tank');
+	t.equal(status.config.children[0].cksum, 6);
+	t.equal(status.errors.count, 3);
+	t.deepEqual(status.errors.files, [ 'tank:<0x0>',
+	    '/tank/data/report.pdf', 'tank/home@monday:/alice/notes.txt' ]);
+
+	t.deepEqual(zpool.parseStatus('no pools available\n'), []);
+	t.end();
+});
+
+test('zpool import parsing', function (t) {
+	var pools = zpool.parseImport(fs.readFileSync('zpool-import.available',
+	    'utf8'));
+
+	t.equal(pools.length, 2);
+	t.equal(pools[0].name, 'tank');
+	t.equal(pools[0].id, '15161305389212348617', 'ids are kept as strings');
+	t.equal(pools[0].state, 'ONLINE');
+	t.equal(pools[0].config.children[0].children[1].name,
+	    '/var/tmp/disk1');
+	t.equal(pools[0].logs[0].name, '/var/tmp/log0');
+	t.notOk('scan' in pools[0], 'import has no scan state');
+
+	t.equal(pools[1].name, 'old');
+	t.equal(pools[1].state, 'DEGRADED');
+	t.ok(pools[1].action.match(/compromised if imported\.$/),
+	    'action text is joined across lines');
+	t.equal(pools[1].config.children[0].children[1].message,
+	    'cannot open');
+	t.end();
+});
+
+test('replicate without bookmarks', function (t) {
+	/*
+	 * A zfs that predates bookmarks, with a snapshot of each dataset,
+	 * that fails if asked for the snapshots of descendants too.
+	 */
+	fakeCommand('zfs', [
+		'case "$*" in',
+		'*bookmark*) echo "invalid type \'bookmark\'" >&2; exit 2 ;;',
+		'*" -d 1 "*) ;;',
+		'*) echo "too deep" >&2; exit 1 ;;',
+		'esac',
+		'for last; do :; done',
+		'printf \'%s@1\\t11\\t5\\n\' "$last"',
+		''
+	].join('\n'), function (fake, dir, done) {
+		zfs.replicate('a/b', 'c/d', { dryRun: true },
+		    function (err, result) {
+			done();
+			t.notOk(err, 'zfs.replicate failed: ' + err);
+			t.equal(result.to, 'a/b@1');
+			t.deepEqual(result.snapshots, [], 'already up to date');
+			t.end();
+		});
+	});
+});
+
+test('send to a file', function (t) {
+	fakeCommand('zfs', 'echo stream\n', function (fake, dir, done) {
+		var file = path.join(dir, 'send.zfs');
+
+		zfs.send('a/b@c', file, function (err) {
+			t.notOk(err, 'zfs.send failed: ' + err);
+			t.equal(fs.readFileSync(file, 'utf8'), 'stream\n');
+			t.equal(fs.statSync(file).mode & parseInt('0777', 8),
+			    parseInt('0400', 8),
+			    'the file is read-only to its owner');
+			done();
+			sendFails();
+		});
+	});
+
+	function sendFails() {
+		var script = 'echo partial\n' +
+		    'echo "dataset does not exist" >&2\nexit 1\n';
+
+		fakeCommand('zfs', script, function (fake, dir, done) {
+			var file = path.join(dir, 'send.zfs');
+
+			zfs.send('a/b@c', file, function (err) {
+				t.ok(err, 'zfs.send fails');
+				t.notOk(fs.existsSync(file),
+				    'the partial file is removed');
+				done();
+				t.end();
+			});
+		});
+	}
+});
+
+test('receive from an unreadable file', function (t) {
+	var calls = 0;
+
+	// a receive that waits for input until it is killed
+	fakeCommand('zfs', 'echo $$ >"$0.pid"\nexec sleep 30\n',
+	    function (fake, dir, done) {
+		zfs.receive('a/b', __dirname, function (err) {
+			calls++;
+			t.equal(err.code, 'EISDIR',
+			    'the read error is reported');
+			setTimeout(function () {
+				var pid = parseInt(fs.readFileSync(
+				    fake + '.pid', 'utf8'), 10);
+
+				done();
+				t.equal(calls, 1, 'called back once');
+				t.throws(function () {
+					process.kill(pid, 0);
+				}, 'zfs receive was killed');
+				t.end();
+			}, 100);
+		});
+	});
+});
+
+test('scan monitor', function (t) {
+	var events = [];
+
+	/*
+	 * Each run prints the next of the scan lines in the file named by
+	 * $SCANS: an old scrub's result, as a new scrub has yet to show up,
+	 * then the new one in progress, paused, or finished just now.
+	 */
+	fakeCommand('zpool', [
+		'n=$(cat $SCANS.n 2>/dev/null || echo 1)',
+		'echo $((n + 1)) > $SCANS.n',
+		'scan=$(sed -n "${n}p" $SCANS)',
+		'[ -n "$scan" ] || scan=$(tail -1 $SCANS)',
+		'printf \'  pool: tank\\n state: ONLINE\\n\'',
+		'printf \'  scan: %s\\n\' "$scan" | sed "s/NOW/$(date)/"',
+		'printf \'config:\\n\\n\\tNAME STATE READ WRITE CKSUM\\n\'',
+		'printf \'\\ttank ONLINE 0 0 0\\n\\n\'',
+		'printf \'errors: No known data errors\\n\'',
+		''
+	].join('\n'), function (fake, dir, done) {
+		function scans(lines, options, callback) {
+			var file = path.join(dir, 'scans');
+
+			events = [];
+			fs.writeFileSync(file, lines.join('\n') + '\n');
+			try {
+				fs.unlinkSync(file + '.n');
+			} catch (e) {}
+			process.env.SCANS = file;
+
+			var monitor = zpool.monitorScan('tank', options);
+			var names = [ 'progress', 'paused', 'done' ];
+
+			names.forEach(function (name) {
+				monitor.on(name, function (scan) {
+					events.push(name + ' ' + scan.state);
+					if (name !== 'progress')
+						callback();
+				});
+			});
+			monitor.on('error', function (err) {
+				events.push('error ' + err.code);
+				callback();
+			});
+		}
+
+		var old = 'scrub repaired 0B in 00:00:01 with 0 errors on ' +
+		    'Sun Jul 25 16:07:49 2021';
+		var running = 'scrub in progress since ' +
+		    'Sun Jul 25 16:07:49 2021';
+
+		scans([ old, running, 'scrub repaired 0B in 00:00:01 with 0 ' +
+		    'errors on NOW' ], { interval: 10 }, function () {
+			t.deepEqual(events, [ 'progress scanning',
+			    'done finished' ], 'waits for the scan to show up');
+
+			scans([ running, 'scrub paused since NOW' ],
+			    { interval: 10 }, function () {
+				t.deepEqual(events, [ 'progress scanning',
+				    'paused paused' ], 'stops when paused');
+
+				scans([ 'none requested' ], { interval: 10,
+				    startTimeout: 50 }, function () {
+					t.deepEqual(events,
+					    [ 'error ETIMEDOUT' ],
+					    'times out if no scan shows up');
+					delete process.env.SCANS;
+					done();
+					t.end();
+				});
+			});
+		});
+	});
+});
+
+test('zpool iostat parsing', function (t) {
+	var samples = zpool.parseIostat(fs.readFileSync('zpool-iostat.verbose',
+	    'utf8'), { pools: 'tank' });
+	var pool;
+
+	t.equal(samples.length, 2);
+	t.equal(samples[1].index, 1);
+	t.equal(samples[1].time.getTime(), 1792404901000);
+	pool = samples[1].pools[0];
+	t.equal(pool.name, 'tank');
+	t.equal(pool.alloc, 1073741824);
+	t.deepEqual(pool.ops, { read: 24, write: 80 });
+	t.equal(pool.bandwidth.write, 3276800);
+	t.equal(pool.vdevs.length, 4, 'the logs row is not a vdev');
+	t.equal(pool.vdevs[1].name, 'sdb');
+	t.equal(pool.vdevs[1].alloc, null);
+	t.equal(pool.vdevs[1].group, null);
+	t.equal(pool.vdevs[3].name, 'sdd');
+	t.equal(pool.vdevs[3].group, 'logs');
+
+	samples = zpool.parseIostat(fs.readFileSync('zpool-iostat.histograms',
+	    'utf8'), { pools: [ 'tank' ], histograms: true });
+	t.equal(samples.length, 2);
+	pool = samples[0].pools[0];
+	t.equal(pool.name, 'tank');
+	t.deepEqual(pool.latency.buckets, [ 1, 3, 7, 15, 31 ]);
+	t.deepEqual(pool.latency.totalWait.read, [ 0, 1, 2, 3, 4 ]);
+	t.deepEqual(pool.latency.asyncqWait.write, [ 7, 8, 9, 10, 11 ]);
+	t.deepEqual(pool.latency.rebuildWait, [ 0, 0, 0, 0, 0 ]);
+	t.equal(pool.vdevs.length, 4);
+	t.equal(pool.vdevs[3].name, 'sdd');
+
+	t.deepEqual(zpool.parseIostat(''), []);
+	t.end();
+});
+
+test('zpool iostat sampler', function (t) {
+	var samples = [];
+
+	/*
+	 * Write the output a line at a time, so that intervals arrive split
+	 * over several chunks.
+	 */
+	fakeCommand('zpool', [
+		'case "$*" in',
+		'*-w*) f=' + path.resolve('zpool-iostat.histograms') + ' ;;',
+		'*) f=' + path.resolve('zpool-iostat.verbose') + ' ;;',
+		'esac',
+		'while IFS= read -r line; do',
+		'\tprintf \'%s\\n\' "$line"',
+		'\tsleep 0.01',
+		'done < $f',
+		''
+	].join('\n'), function (fake, dir, done) {
+		var sampler = zpool.iostat('tank', { verbose: true,
+		    latency: true });
+
+		sampler.on('sample', function (sample) {
+			samples.push(sample);
+		});
+		sampler.on('error', function (err) {
+			t.notOk(err, 'zpool.iostat failed: ' + err);
+		});
+		sampler.on('end', function () {
+			var pool;
+
+			done();
+			t.equal(samples.length, 2,
+			    'last sample emitted at exit');
+			t.equal(samples[0].pools[0].vdevs.length, 4);
+			t.equal(samples[1].index, 1);
+			pool = samples[1].pools[0];
+			t.equal(pool.ops.read, 24);
+			t.equal(pool.vdevs[3].group, 'logs');
+			t.deepEqual(pool.latency.totalWait.read,
+			    [ 0, 2, 4, 6, 8 ]);
+			t.deepEqual(pool.vdevs[1].latency.diskWait.write,
+			    [ 3, 5, 7, 9, 11 ]);
+			t.end();
+		});
+	});
+});
+
+test('zpool events parsing', function (t) {
+	var events = zpool.parseEvents(fs.readFileSync('zpool-events.checksum',
+	    'utf8'));
+	var e = events[0];
+
+	t.equal(events.length, 2);
+	t.equal(e['class'], 'ereport.fs.zfs.checksum');
+	t.equal(e.time.getTime(), Date.UTC(2026, 9, 19, 10, 15, 2, 123));
+	t.equal(e.pool, 'tank');
+	t.equal(e.poolGuid, '13774888783055911443', 'guids are decimal');
+	t.equal(e.vdevGuid, '10215186375946651285');
+	t.equal(e.vdevPath, '/dev/sdb1');
+	t.equal(e.eid, 42);
+	t.deepEqual(e.payload.detector, { version: 0, scheme: 'zfs',
+	    pool: '13774888783055911443', vdev: '10215186375946651285' });
+	t.equal(e.payload.zio_size, 131072);
+	t.deepEqual(e.payload.bad_ranges, [ 0, 512 ]);
+	t.deepEqual(e.payload.bad_set_bits, [ 17 ], 'one-element array');
+
+	e = events[1];
+	t.equal(e['class'], 'sysevent.fs.zfs.config_sync');
+	t.equal(e.vdevGuid, null);
+	t.equal(e.vdevPath, null);
+	t.equal(e.payload.vdevs.length, 2);
+	t.equal(e.payload.vdevs[1].path, '/dev/sdc1');
+	t.equal(e.payload.time[1], 1, 'nvpairs after an nvlist array');
+	t.equal(e.eid, 43);
+
+	t.deepEqual(zpool.parseEvents(''), []);
+	t.end();
+});
+
 function
 check_layout(dl, t, name, layout)
 {